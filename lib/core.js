@@ -0,0 +1,1306 @@
+// httptmux core: sends requests and keeps history, environments, cookies and credentials.
+// Nothing in here prints or prompts; the CLI plugs in a logger and a passphrase prompt.
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import https from 'https';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { getPlatform } from './platform.js';
+
+// Config paths, resolved against the platform's data directory on every use
+const dataFile = name => path.join(getPlatform().dataDir(), name);
+const paths = {
+  get history() { return dataFile(".api-cli-history.jsonl"); },
+  get legacyHistory() { return dataFile(".api-cli-history.json"); },
+  get jwt() { return dataFile(".api-cli-jwt.json"); },
+  get auth() { return dataFile(".api-cli-auth.json"); },
+  get env() { return dataFile(".api-cli-env.json"); },
+  get collections() { return dataFile(".api-cli-collections.json"); },
+  get secrets() { return dataFile(".api-cli-secrets.json"); },
+  get config() { return dataFile(".api-cli-config.json"); },
+  get cookies() { return dataFile(".api-cli-cookies.json"); }
+};
+
+// Logging hooks
+let logger = { verbose() {}, info() {}, warn() {} };
+const log = {
+  verbose: message => logger.verbose(message),
+  info: message => logger.info(message),
+  warn: message => logger.warn(message)
+};
+/**
+ * Routes the core's messages somewhere; by default they are dropped.
+ * @param {{ verbose?: (message: string) => void, info?: (message: string) => void, warn?: (message: string) => void }} handlers
+ */
+function setLogger(handlers) {
+  logger = { ...logger, ...handlers };
+}
+// Asked for the secrets store passphrase when HTTPTMUX_PASSPHRASE isn't set
+let passphrasePrompt = null;
+/**
+ * Sets how the secrets store passphrase is asked for when HTTPTMUX_PASSPHRASE isn't set.
+ * @param {((options: { create: boolean }) => Promise<string>) | null} prompt
+ */
+function setPassphrasePrompt(prompt) {
+  passphrasePrompt = prompt;
+}
+
+// Config helpers
+// Everything httptmux writes can contain credentials, so it is only readable by the owner
+function writePrivateFile(file, content) {
+  fs.writeFileSync(file, content, { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+}
+const defaultConfig = {
+  redact: {
+    headers: ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"],
+    fields: ["password", "passwd", "secret", "client_secret", "token", "access_token", "refresh_token", "api_key", "apikey"]
+  }
+};
+/**
+ * ~/.api-cli-config.json merged with the defaults; the redact lists extend the default ones.
+ * @returns {object}
+ */
+function loadConfig() {
+  let config = {};
+  if (fs.existsSync(paths.config)) {
+    try { config = JSON.parse(fs.readFileSync(paths.config, "utf8")); }
+    catch { log.warn(`Ignoring invalid JSON in ${paths.config}.`); }
+  }
+  return {
+    ...defaultConfig,
+    ...config,
+    redact: {
+      headers: [...defaultConfig.redact.headers, ...(config.redact?.headers || [])].map(h => h.toLowerCase()),
+      fields: [...defaultConfig.redact.fields, ...(config.redact?.fields || [])].map(f => f.toLowerCase())
+    }
+  };
+}
+// Accepts 30s, 2m, 500ms, 7d, 2w or plain seconds
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)?$/);
+  if (!match) throw new Error(`Invalid duration "${value}". Use e.g. 30s, 2m or 500ms.`);
+  return Number(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2] || "s"];
+}
+// History helpers
+// History is stored one JSON entry per line so saving a request only appends to the file
+function writeHistory(entries) {
+  writePrivateFile(paths.history, entries.map(entry => `${JSON.stringify(entry)}\n`).join(""));
+}
+// Moves the old single-array history file over to JSONL, redacted like new entries since older
+// versions stored the global JWT they sent with every request
+function migrateHistory() {
+  if (fs.existsSync(paths.history) || !fs.existsSync(paths.legacyHistory)) return;
+  let entries = [];
+  try { entries = JSON.parse(fs.readFileSync(paths.legacyHistory, "utf8")); }
+  catch { return log.warn(`Could not read ${paths.legacyHistory}, history starts empty.`); }
+  writeHistory(Array.isArray(entries) ? entries.map(redactEntry) : []);
+  fs.unlinkSync(paths.legacyHistory);
+  log.verbose(`Migrated ${entries.length} history entries to ${paths.history}.`);
+}
+function readHistoryFile() {
+  migrateHistory();
+  if (!fs.existsSync(paths.history)) return [];
+  // A line cut short by a crash is skipped instead of losing the whole history
+  return fs.readFileSync(paths.history, "utf8").split("\n").filter(Boolean).flatMap(line => {
+    try { return [JSON.parse(line)]; } catch { return []; }
+  });
+}
+// "history": { "maxEntries": 1000, "maxAge": "30d" } in ~/.api-cli-config.json; no limits by default
+function historyRetention() {
+  const { history = {} } = loadConfig();
+  let maxAge;
+  try { maxAge = history.maxAge !== undefined ? parseDuration(typeof history.maxAge === "number" ? `${history.maxAge}d` : history.maxAge) : undefined; }
+  catch (error) { log.warn(`Ignoring history.maxAge: ${error.message}`); }
+  return { maxEntries: Number(history.maxEntries) > 0 ? Number(history.maxEntries) : undefined, maxAge };
+}
+function applyRetention(entries, { maxEntries, maxAge }) {
+  const cutoff = maxAge ? Date.now() - maxAge : -Infinity;
+  const kept = maxAge ? entries.filter(entry => !(new Date(entry.timestamp).getTime() < cutoff)) : entries;
+  return maxEntries ? kept.slice(-maxEntries) : kept;
+}
+/**
+ * History entries, oldest first, with the retention limits applied.
+ * @returns {object[]}
+ */
+function loadHistory() {
+  return applyRetention(readHistoryFile(), historyRetention());
+}
+// The file is only rewritten once it is 10% over maxEntries or its oldest entry has expired
+function pruneHistory(retention) {
+  const content = fs.readFileSync(paths.history, "utf8");
+  const lines = content.split("\n").filter(Boolean);
+  let oldest;
+  try { oldest = new Date(JSON.parse(lines[0]).timestamp).getTime(); } catch { /* unreadable first line, check the count only */ }
+  const tooMany = retention.maxEntries && lines.length > Math.ceil(retention.maxEntries * 1.1);
+  const tooOld = retention.maxAge && oldest < Date.now() - retention.maxAge;
+  if (tooMany || tooOld) writeHistory(loadHistory());
+}
+/**
+ * Appends an entry, redacted according to the config.
+ * @param {object} entry
+ */
+function saveHistory(entry) {
+  migrateHistory();
+  fs.appendFileSync(paths.history, `${JSON.stringify(redactEntry(entry))}\n`, { mode: 0o600 });
+  const retention = historyRetention();
+  if (retention.maxEntries || retention.maxAge) pruneHistory(retention);
+}
+// Response headers and body as kept in history; "history": { "maxBodySize": <bytes> } caps the body (64 KB by default, 0 keeps none)
+function historyResponse(headers, decoded) {
+  const limit = Number(loadConfig().history?.maxBodySize ?? 65536);
+  const stored = { headers: Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])) };
+  if (!decoded || !limit) return stored;
+  if (decoded.binary) return { ...stored, binary: true, size: decoded.size };
+  if (decoded.size > limit) return { ...stored, body: decoded.text.slice(0, limit), truncated: true, size: decoded.size };
+  return { ...stored, body: decoded.data };
+}
+function clearHistory() {
+  writeHistory([]);
+}
+/**
+ * Writes the whole history to a JSON file.
+ * @param {string} [filePath] Defaults to httptmux-history-export.json in the data directory
+ * @returns {{ file: string, count: number }}
+ */
+function exportHistory(filePath = path.join(getPlatform().dataDir(), "httptmux-history-export.json")) {
+  const history = loadHistory();
+  writePrivateFile(filePath, JSON.stringify(history, null, 2));
+  return { file: filePath, count: history.length };
+}
+// Redaction helpers
+const REDACTED = "[REDACTED]";
+function redactFields(value, fields) {
+  if (Array.isArray(value)) return value.map(item => redactFields(item, fields));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, fields.includes(key.toLowerCase()) ? REDACTED : redactFields(item, fields)]
+    ));
+  }
+  return value;
+}
+function redactUrl(url, fields) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return url; }
+  let changed = false;
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (fields.includes(key.toLowerCase())) {
+      parsed.searchParams.set(key, REDACTED);
+      changed = true;
+    }
+  }
+  return changed ? parsed.toString() : url;
+}
+// Strips credentials from a history entry before it is written to disk
+function redactHeaders(headers, names) {
+  return Object.fromEntries(Object.entries(headers || {}).map(([key, value]) => [key, names.includes(key.toLowerCase()) ? REDACTED : value]));
+}
+/**
+ * Copy of a history entry with sensitive headers, URL parameters and body fields replaced by "[REDACTED]".
+ * @param {object} entry
+ */
+function redactEntry(entry) {
+  const { redact } = loadConfig();
+  const headers = redactHeaders(entry.headers, redact.headers);
+  let body = entry.body;
+  if (entry.bodyMode === "multipart" && Array.isArray(body)) {
+    body = body.map(field => field.value !== undefined && redact.fields.includes(String(field.name).toLowerCase()) ? { ...field, value: REDACTED } : field);
+  } else if (typeof body === "string") {
+    try { body = JSON.stringify(redactFields(JSON.parse(body), redact.fields)); } catch { /* not JSON, keep as is */ }
+  } else body = redactFields(body, redact.fields);
+  const response = entry.response && {
+    ...entry.response,
+    headers: redactHeaders(entry.response.headers, redact.headers),
+    ...(entry.response.body !== undefined ? { body: redactFields(entry.response.body, redact.fields) } : {})
+  };
+  return { ...entry, url: redactUrl(entry.url, redact.fields), headers, body, ...(response ? { response } : {}) };
+}
+// Shell helpers
+// Splits a shell command line into words, honouring quotes, $'...' and line continuations;
+// source names the input in errors, e.g. "curl command"
+function tokenizeShell(command, source = "command") {
+  const tokens = [];
+  let current = null;
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    if (char === "\\" && (command[i + 1] === "\n" || command[i + 1] === "\r")) {
+      i += command[i + 1] === "\r" && command[i + 2] === "\n" ? 2 : 1;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+      continue;
+    }
+    current = current ?? "";
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) throw new Error(`Unterminated single quote in ${source}.`);
+      current += command.slice(i + 1, end);
+      i = end;
+    } else if (char === "$" && command[i + 1] === "'") {
+      i += 2;
+      const escapes = { n: "\n", r: "\r", t: "\t", "\\": "\\", "'": "'", '"': '"' };
+      while (i < command.length && command[i] !== "'") {
+        if (command[i] === "\\" && command[i + 1] === "x") {
+          current += String.fromCharCode(parseInt(command.slice(i + 2, i + 4), 16));
+          i += 4;
+        } else if (command[i] === "\\") {
+          current += escapes[command[i + 1]] ?? command[i + 1];
+          i += 2;
+        } else current += command[i++];
+      }
+    } else if (char === '"') {
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === "\\" && ['"', "\\", "$", "`"].includes(command[i + 1])) i++;
+        current += command[i++];
+      }
+      if (i >= command.length) throw new Error(`Unterminated double quote in ${source}.`);
+    } else if (char === "\\") {
+      current += command[++i] ?? "";
+    } else current += char;
+  }
+  if (current !== null) tokens.push(current);
+  return tokens;
+}
+// History query helpers
+// Status against "200", "2xx" or a comma-separated list of either
+function matchesStatus(expected, actual) {
+  return String(expected).split(",").map(s => s.trim()).some(pattern =>
+    /^[1-5]xx$/i.test(pattern) ? String(actual)[0] === pattern[0] : pattern === String(actual)
+  );
+}
+// Host and port (unless it is the default one) of an entry's URL, the same for filters and stats
+function historyHost(entry) {
+  try { return new URL(entry.url).host.toLowerCase(); } catch { return null; }
+}
+const historyQueryFields = ["method", "status", "host", "url", "auth", "duration", "operation", "since", "until"];
+// since/until take a date, a date and time, or an age like 2h or 7d; a date-only "until" includes that day
+function parseHistoryTime(value, field) {
+  if (/^\d+(\.\d+)?(ms|s|m|h|d|w)$/.test(value)) return Date.now() - parseDuration(value);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid date for ${field}: "${value}" (use YYYY-MM-DD, an ISO timestamp or an age like 7d).`);
+  return field === "until" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 - 1 : time;
+}
+function compareValues(actual, operator, expected) {
+  return { "=": actual === expected, "!=": actual !== expected, ">": actual > expected, ">=": actual >= expected, "<": actual < expected, "<=": actual <= expected }[operator];
+}
+// Builds a filter from "method=POST status>=400 host=api.x url~/users/ since=7d until=2024-01-31 duration>500";
+// words without an operator match method, URL, status or GraphQL operation, ignoring case
+function parseHistoryQuery(query = "") {
+  const tests = tokenizeShell(String(query), "history filter").map(term => {
+    const match = term.match(/^([a-z]+)(!~|~|!=|>=|<=|=|>|<)(.*)$/i);
+    if (!match) {
+      const needle = term.toLowerCase();
+      return entry => `${entry.method} ${entry.url} ${entry.status} ${entry.graphql?.name || entry.graphql?.field || ""}`.toLowerCase().includes(needle);
+    }
+    const [, rawField, operator, value] = match;
+    const field = rawField.toLowerCase();
+    if (!historyQueryFields.includes(field)) throw new Error(`Unknown history field "${rawField}" (use ${historyQueryFields.join(", ")}).`);
+    if (field === "since" || field === "until") {
+      if (operator !== "=") throw new Error(`Use ${field}=<date>.`);
+      const time = parseHistoryTime(value, field);
+      return entry => compareValues(new Date(entry.timestamp).getTime(), field === "since" ? ">=" : "<=", time);
+    }
+    const read = {
+      method: entry => String(entry.method || "").toUpperCase(),
+      status: entry => entry.status,
+      host: entry => historyHost(entry) || "",
+      url: entry => String(entry.url || ""),
+      auth: entry => entry.auth || "",
+      duration: entry => entry.duration,
+      operation: entry => entry.graphql?.name || entry.graphql?.field || ""
+    }[field];
+    if (operator === "~" || operator === "!~") {
+      const needle = value.toLowerCase();
+      return entry => String(read(entry) ?? "").toLowerCase().includes(needle) === (operator === "~");
+    }
+    if (field === "status" && /^[1-5]xx$/i.test(value)) {
+      if (!["=", "!="].includes(operator)) throw new Error(`Use status=${value} or status!=${value}.`);
+      return entry => matchesStatus(value, entry.status) === (operator === "=");
+    }
+    // Failed requests are stored with status "ERROR", so a non-numeric status=/!= compares as text
+    if (field === "status" && ["=", "!="].includes(operator) && (value === "" || Number.isNaN(Number(value)))) {
+      return entry => compareValues(String(entry.status ?? ""), operator, value.toUpperCase());
+    }
+    if (["status", "duration"].includes(field)) {
+      const number = Number(value);
+      if (value === "" || Number.isNaN(number)) throw new Error(`${field} needs a number, got "${value}".`);
+      return entry => typeof read(entry) === "number" ? compareValues(read(entry), operator, number) : operator === "!=";
+    }
+    if (!["=", "!="].includes(operator)) throw new Error(`${field} supports =, !=, ~ and !~.`);
+    const expected = field === "method" ? value.toUpperCase() : field === "host" ? value.toLowerCase() : value;
+    // A host without a port matches it on any port, as listed by historyStats or not
+    if (field === "host" && !expected.includes(":")) return entry => compareValues(read(entry).replace(/:\d+$/, ""), operator, expected);
+    return entry => compareValues(read(entry), operator, expected);
+  });
+  return entry => tests.every(test => test(entry));
+}
+/**
+ * Matching entries with their position in the full history, so the numbers work with --rerun.
+ * Throws on an invalid query.
+ * @param {string} query e.g. "method=POST status>=400 host=api.example.com since=7d"
+ * @returns {{ entry: object, i: number }[]}
+ */
+function queryHistory(query) {
+  const matches = parseHistoryQuery(query);
+  return loadHistory().map((entry, i) => ({ entry, i })).filter(({ entry }) => matches(entry));
+}
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : 0;
+}
+/**
+ * Request count with average and p95 duration, in total and per host and status.
+ * @param {string} [query] Only count entries matching this history query
+ * @returns {{ count: number, avgDuration: number|null, p95Duration: number|null, byHost: object, byStatus: object }}
+ */
+function historyStats(query) {
+  const entries = queryHistory(query).map(({ entry }) => entry);
+  const summarize = group => {
+    const durations = group.map(entry => entry.duration).filter(duration => typeof duration === "number").sort((a, b) => a - b);
+    const average = durations.length ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : null;
+    return { count: group.length, avgDuration: average, p95Duration: durations.length ? percentile(durations, 95) : null };
+  };
+  const groupBy = read => Object.fromEntries(Object.entries(entries.reduce((groups, entry) => {
+    (groups[read(entry)] ||= []).push(entry);
+    return groups;
+  }, {})).sort(([, a], [, b]) => b.length - a.length).map(([key, group]) => [key, summarize(group)]));
+  const hostOf = entry => historyHost(entry) ?? "(invalid url)";
+  return { ...summarize(entries), byHost: groupBy(hostOf), byStatus: groupBy(entry => entry.status ?? "(none)") };
+}
+/**
+ * History entry by 1-based number, "last" or "last-N"; throws when there is no such entry.
+ * @param {number|string} ref
+ */
+function resolveHistoryEntry(ref) {
+  const history = loadHistory();
+  if (history.length === 0) throw new Error("No history found.");
+  // "last-1" is the entry before the last one
+  const relative = String(ref).match(/^last(?:-(\d+))?$/);
+  const index = relative ? history.length - Number(relative[1] || 0) : Number(ref);
+  if (!Number.isInteger(index) || index < 1 || index > history.length) {
+    throw new Error(`History entry "${ref}" not found (use 1-${history.length}, "last" or "last-N").`);
+  }
+  return history[index - 1];
+}
+// Redacted headers should not be sent again or end up in a collection
+function toSavedRequest(entry) {
+  const headers = Object.fromEntries(Object.entries(entry.headers || {}).filter(([, value]) => value !== REDACTED));
+  return { method: entry.method, url: entry.url, headers, body: entry.body ?? {}, ...bodySettings(entry), ...(entry.settings ? { settings: entry.settings } : {}) };
+}
+/**
+ * Replaces the [REDACTED] query parameters and body fields of a request from history with
+ * replace(label), where label names the value, e.g. 'query "token"' or 'body "user.password"'.
+ * @param {Request} request
+ * @param {(label: string) => *} replace
+ * @returns {Request}
+ */
+function restoreRedacted(request, replace) {
+  let url = request.url;
+  try {
+    const parsed = new URL(url);
+    let changed = false;
+    parsed.searchParams.forEach((value, name) => {
+      if (value !== REDACTED) return;
+      parsed.searchParams.set(name, String(replace(`query "${name}"`)));
+      changed = true;
+    });
+    if (changed) url = parsed.toString();
+  } catch { /* relative or {{variable}} URLs are never redacted */ }
+  const fill = (value, keys) => {
+    if (value === REDACTED) return replace(`body "${keys.join(".")}"`);
+    if (Array.isArray(value)) return value.map((item, i) => fill(item, [...keys, i]));
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item, [...keys, key])]));
+    return value;
+  };
+  let body = request.body;
+  if (request.bodyMode === "multipart" && Array.isArray(body)) {
+    body = body.map(field => field.value === REDACTED ? { ...field, value: replace(`form field "${field.name}"`) } : field);
+  } else if (typeof body === "string" && body.includes(REDACTED)) {
+    try { body = JSON.stringify(fill(JSON.parse(body), [])); } catch { /* redaction only touches JSON text */ }
+  } else body = fill(body, []);
+  return { ...request, url, body };
+}
+// Labels of the values history redacted, see restoreRedacted
+function findRedacted(request) {
+  const labels = [];
+  restoreRedacted(request, label => {
+    if (!labels.includes(label)) labels.push(label);
+    return REDACTED;
+  });
+  return labels;
+}
+// Environment helpers
+function loadEnvironments() {
+  const empty = { active: null, globals: {}, environments: {} };
+  if (fs.existsSync(paths.env)) {
+    try { return { ...empty, ...JSON.parse(fs.readFileSync(paths.env, "utf8")) }; }
+    catch { return empty; }
+  }
+  return empty;
+}
+function saveEnvironments(data) {
+  writePrivateFile(paths.env, JSON.stringify(data, null, 2));
+}
+// The saved active environment, unless a request names one (null for none)
+function environmentName(env) {
+  return env === undefined ? loadEnvironments().active : env;
+}
+/**
+ * Defaults overlaid with the globals, the environment's variables and then the given ones.
+ * @param {{ env?: string|null, variables?: Object<string, *>, defaults?: Object<string, *> }} [options] env defaults to the active environment, null for none
+ */
+function getVariables({ env, variables = {}, defaults = {} } = {}) {
+  const { globals, environments } = loadEnvironments();
+  const name = environmentName(env);
+  if (!name) return { ...defaults, ...globals, ...variables };
+  if (!environments[name]) throw new Error(`Environment "${name}" not found in ${paths.env}.`);
+  return { ...defaults, ...globals, ...environments[name], ...variables };
+}
+function setVariables(values, env) {
+  const data = loadEnvironments();
+  const name = environmentName(env);
+  if (name && data.environments[name]) Object.assign(data.environments[name], values);
+  else data.globals = { ...data.globals, ...values };
+  saveEnvironments(data);
+}
+// Replaces {{name}} placeholders in strings, arrays and object keys/values;
+// env only names the environment the variables came from in the error for an undefined one
+function substituteVariables(value, vars, env) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+        const where = env === undefined ? "" : env ? ` in environment "${env}"` : " (no environment selected)";
+        throw new Error(`Undefined variable "${name}"${where}.`);
+      }
+      return String(vars[name]);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => substituteVariables(item, vars, env));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [substituteVariables(key, vars, env), substituteVariables(item, vars, env)]));
+  }
+  return value;
+}
+// Cookie jar helpers
+// Jars are keyed by environment when "cookies": { "perEnvironment": true } is set, otherwise everything shares "default"
+function loadCookieJars() {
+  if (!fs.existsSync(paths.cookies)) return {};
+  try { return JSON.parse(fs.readFileSync(paths.cookies, "utf8")).jars || {}; }
+  catch { return {}; }
+}
+function saveCookieJars(jars) {
+  writePrivateFile(paths.cookies, JSON.stringify({ jars }, null, 2));
+}
+function cookiesEnabled() {
+  return loadConfig().cookies?.enabled !== false;
+}
+function cookieJarName(env) {
+  const name = environmentName(env);
+  return loadConfig().cookies?.perEnvironment && name ? name : "default";
+}
+// Cookies are kept until they expire or are cleared, session cookies included, so separate runs share a login
+function loadCookies(jar) {
+  return (loadCookieJars()[jar] || []).filter(cookie => !cookie.expires || cookie.expires > Date.now());
+}
+// Browsers treat localhost as secure too, so Secure cookies work against local dev servers
+function isSecureOrigin(url) {
+  return ["https:", "wss:"].includes(url.protocol) || ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+}
+function domainMatches(host, domain) {
+  return host === domain || (host.endsWith(`.${domain}`) && !/^[\d.]+$|^\[/.test(host));
+}
+function pathMatches(requestPath, cookiePath) {
+  return requestPath === cookiePath || (requestPath.startsWith(cookiePath) && (cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/"));
+}
+// The directory of the request path, as RFC 6265 defines the default cookie path
+function defaultCookiePath(pathname) {
+  return !pathname.startsWith("/") || pathname.lastIndexOf("/") === 0 ? "/" : pathname.slice(0, pathname.lastIndexOf("/"));
+}
+// Parses one Set-Cookie header; returns null for cookies the URL isn't allowed to set
+function parseSetCookie(header, requestUrl) {
+  const url = new URL(requestUrl);
+  const [pair, ...attributes] = header.split(";");
+  const separator = pair.indexOf("=");
+  if (separator < 1) return null;
+  const cookie = {
+    name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim(),
+    domain: url.hostname.toLowerCase(), hostOnly: true, path: defaultCookiePath(url.pathname), expires: null, secure: false, httpOnly: false
+  };
+  let maxAge;
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split("=");
+    const value = rest.join("=").trim();
+    const name = key.trim().toLowerCase();
+    if (name === "expires" && !Number.isNaN(Date.parse(value))) cookie.expires = Date.parse(value);
+    else if (name === "max-age" && /^-?\d+$/.test(value)) maxAge = Number(value);
+    else if (name === "domain" && value) {
+      const domain = value.replace(/^\./, "").toLowerCase();
+      // A dotless domain other than the host itself would reach every host under a top-level domain
+      if (!domainMatches(cookie.domain, domain) || (!domain.includes(".") && domain !== cookie.domain)) return null;
+      Object.assign(cookie, { domain, hostOnly: false });
+    }
+    else if (name === "path" && value.startsWith("/")) cookie.path = value;
+    else if (name === "secure") cookie.secure = true;
+    else if (name === "httponly") cookie.httpOnly = true;
+    else if (name === "samesite") cookie.sameSite = value;
+  }
+  // Max-Age wins over Expires; zero or less deletes the cookie
+  if (maxAge !== undefined) cookie.expires = Date.now() + maxAge * 1000;
+  if (cookie.secure && !isSecureOrigin(url)) return null;
+  return cookie;
+}
+// Stores the Set-Cookie headers of a response, replacing cookies with the same name, domain and path
+function storeCookies(setCookie, requestUrl, jar) {
+  if (!setCookie?.length) return;
+  const jars = loadCookieJars();
+  let cookies = loadCookies(jar);
+  [].concat(setCookie).forEach(header => {
+    const cookie = parseSetCookie(header, requestUrl);
+    if (!cookie) return log.verbose(`Ignoring cookie "${header.split("=")[0]}" set by ${requestUrl}.`);
+    cookies = cookies.filter(c => !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+    if (!cookie.expires || cookie.expires > Date.now()) cookies.push(cookie);
+  });
+  jars[jar] = cookies;
+  saveCookieJars(jars);
+}
+// The Cookie header value for a URL, longest paths first
+function cookieHeaderFor(requestUrl, jar) {
+  const url = new URL(requestUrl);
+  const host = url.hostname.toLowerCase();
+  return loadCookies(jar)
+    .filter(c => (c.hostOnly ? host === c.domain : domainMatches(host, c.domain)) && pathMatches(url.pathname, c.path) && (!c.secure || isSecureOrigin(url)))
+    .sort((a, b) => b.path.length - a.path.length)
+    .map(c => `${c.name}=${c.value}`)
+    .join("; ");
+}
+// Cookies given explicitly (-H "Cookie: ..." or curl -b) win over jar cookies of the same name
+function mergeCookies(explicit, fromJar) {
+  if (!explicit) return fromJar;
+  const names = new Set(explicit.split(";").map(pair => pair.split("=")[0].trim()));
+  return [explicit, ...fromJar.split("; ").filter(pair => pair && !names.has(pair.split("=")[0]))].join("; ");
+}
+// Adds jar cookies to the axios config and, unless capture is off, keeps the jar up to date
+// across redirects; returns a function that stores the final response's cookies
+function attachCookieJar(config, jar, capture = true) {
+  const cookieKey = Object.keys(config.headers || {}).find(key => key.toLowerCase() === "cookie");
+  const explicit = cookieKey ? config.headers[cookieKey] : "";
+  let currentUrl = config.url;
+  const fromJar = cookieHeaderFor(currentUrl, jar);
+  if (fromJar) log.verbose(`Sending cookies from jar "${jar}": ${fromJar.split("; ").map(pair => pair.split("=")[0]).join(", ")}.`);
+  const cookie = mergeCookies(explicit, fromJar);
+  if (cookie) config.headers = { ...Object.fromEntries(Object.entries(config.headers || {}).filter(([key]) => key !== cookieKey)), Cookie: cookie };
+  if (!capture) return () => {};
+  config.beforeRedirect = (options, { headers }) => {
+    storeCookies(headers["set-cookie"], currentUrl, jar);
+    // Explicit cookies are only kept when the redirect stays on the same host
+    const keptKey = Object.keys(options.headers).find(key => key.toLowerCase() === "cookie");
+    const next = mergeCookies(keptKey ? explicit : "", cookieHeaderFor(options.href, jar));
+    if (keptKey) delete options.headers[keptKey];
+    if (next) options.headers.Cookie = next;
+    currentUrl = options.href;
+  };
+  return response => storeCookies(response?.headers["set-cookie"], currentUrl, jar);
+}
+// Empties a jar, or only removes one domain's cookies; returns how many were removed
+function clearCookies(jar, domain) {
+  const jars = loadCookieJars();
+  const cookies = loadCookies(jar);
+  jars[jar] = domain ? cookies.filter(c => c.domain !== domain) : [];
+  saveCookieJars(jars);
+  return cookies.length - jars[jar].length;
+}
+// JWT helpers
+/**
+ * Legacy global token, no longer attached to requests (see auth profiles). Its plaintext file is
+ * moved into the secrets store when the store is unlocked.
+ * @returns {string|null}
+ */
+function loadJWT() {
+  if (fs.existsSync(paths.jwt)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(paths.jwt, "utf8"));
+      return data.token || null;
+    } catch { return null; }
+  }
+  return null;
+}
+// Keeps the legacy token as a bearer profile bound to no host, so it is only sent with --auth
+function migrateLegacyJWT() {
+  const token = loadJWT();
+  if (!token) return;
+  const data = loadAuthProfiles();
+  let name = "jwt";
+  for (let i = 2; data.profiles[name] && data.profiles[name].token !== token; i++) name = `jwt-${i}`;
+  data.profiles[name] = { type: "bearer", hosts: [], token, ...data.profiles[name] };
+  saveAuthProfiles(data);
+  fs.unlinkSync(paths.jwt);
+  log.info(`Moved the token from ${paths.jwt} into the secrets store as auth profile "${name}", only sent with --auth ${name}.`);
+}
+/**
+ * Saves the token as a bearer profile bound to the given hosts; the secrets store must be unlocked (see unlockSecrets).
+ * @param {string} token
+ * @param {string[]} hosts
+ * @returns {string} Name of the profile, the first host
+ */
+function saveJWT(token, hosts) {
+  const data = loadAuthProfiles();
+  data.profiles[hosts[0]] = { type: "bearer", hosts, token };
+  saveAuthProfiles(data);
+  return hosts[0];
+}
+/**
+ * Payload of a JWT, without verifying it.
+ * @param {string} token
+ * @returns {object|null}
+ */
+function decodeJWT(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64").toString("utf8"));
+    return payload;
+  } catch { return null; }
+}
+/**
+ * @param {string} token
+ * @returns {{ expired: boolean, minutesLeft: number }|null} null for tokens without an "exp" claim
+ */
+function checkJWTExpiry(token) {
+  const expiry = getTokenExpiry(token);
+  if (!expiry) return null;
+  return { expired: expiry < Date.now(), minutesLeft: Math.round((expiry - Date.now()) / 60000) };
+}
+// Expiry of a JWT in epoch milliseconds, from its "exp" claim
+function getTokenExpiry(token) {
+  const payload = decodeJWT(token);
+  return payload && payload.exp ? payload.exp * 1000 : null;
+}
+// Tokens are treated as expired 30 seconds early so they don't lapse in flight
+function isTokenExpired(token, expiresAt) {
+  const expiry = expiresAt || getTokenExpiry(token);
+  return expiry ? expiry - 30000 < Date.now() : false;
+}
+// Secrets store helpers
+// Auth profiles are kept in an AES-256-GCM encrypted file, keyed by a passphrase through scrypt
+let secretsKey = null;
+function deriveSecretsKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+function encryptSecrets(data, key, salt) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+  return { version: 1, kdf: "scrypt", salt: salt.toString("base64"), iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: encrypted.toString("base64") };
+}
+function decryptSecrets(envelope, key) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+  return JSON.parse(decrypted.toString("utf8"));
+}
+function readSecretsEnvelope() {
+  try { return JSON.parse(fs.readFileSync(paths.secrets, "utf8")); }
+  catch { throw new Error(`The secrets store ${paths.secrets} is unreadable.`); }
+}
+/**
+ * Reads HTTPTMUX_PASSPHRASE, or asks through the passphrase prompt, once per process.
+ * Without a store this only does something when create is set. Once unlocked, the plaintext token
+ * of older versions is moved into the store.
+ * @param {boolean} [create] Create the store if there is none
+ * @returns {Promise<boolean>} Whether a store is unlocked
+ */
+async function unlockSecrets(create = false) {
+  if (!secretsKey && !(await openSecrets(create))) return false;
+  migrateLegacyJWT();
+  return true;
+}
+async function openSecrets(create) {
+  const exists = fs.existsSync(paths.secrets);
+  if (!exists && !create) return false;
+
+  let passphrase = process.env.HTTPTMUX_PASSPHRASE;
+  if (!passphrase) {
+    if (!passphrasePrompt) throw new Error("The secrets store is locked. Set HTTPTMUX_PASSPHRASE to unlock it.");
+    passphrase = await passphrasePrompt({ create: !exists });
+    if (!passphrase) throw new Error("A passphrase is required for the secrets store.");
+  }
+
+  if (exists) {
+    const envelope = readSecretsEnvelope();
+    const salt = Buffer.from(envelope.salt, "base64");
+    const key = deriveSecretsKey(passphrase, salt);
+    try { decryptSecrets(envelope, key); }
+    catch { throw new Error("Wrong passphrase for the secrets store."); }
+    secretsKey = { key, salt };
+  } else {
+    const salt = crypto.randomBytes(16);
+    secretsKey = { key: deriveSecretsKey(passphrase, salt), salt };
+  }
+  return true;
+}
+function loadSecrets() {
+  if (fs.existsSync(paths.secrets)) {
+    if (!secretsKey) throw new Error("The secrets store is locked.");
+    return decryptSecrets(readSecretsEnvelope(), secretsKey.key);
+  }
+  // Plaintext profiles from before the store existed, migrated on the next save
+  if (fs.existsSync(paths.auth)) {
+    try { return JSON.parse(fs.readFileSync(paths.auth, "utf8")); }
+    catch { return {}; }
+  }
+  return {};
+}
+function saveSecrets(data) {
+  if (!secretsKey) throw new Error("The secrets store is locked.");
+  writePrivateFile(paths.secrets, JSON.stringify(encryptSecrets(data, secretsKey.key, secretsKey.salt), null, 2));
+  if (fs.existsSync(paths.auth)) {
+    fs.unlinkSync(paths.auth);
+    log.info(`Moved auth profiles from ${paths.auth} into the encrypted secrets store.`);
+  }
+}
+// Auth profile helpers
+function loadAuthProfiles() {
+  return { profiles: {}, ...loadSecrets() };
+}
+function saveAuthProfiles(data) {
+  saveSecrets(data);
+}
+function hostMatches(pattern, url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+  const wanted = pattern.toLowerCase();
+  return [parsed.hostname, parsed.host].some(host =>
+    wanted.startsWith("*.") ? host.endsWith(wanted.slice(1)) : host === wanted
+  );
+}
+// A profile name picks that profile and false sends none; otherwise host-bound profiles
+// win over profiles that are only bound to the environment
+function findAuthProfile(url, name, env) {
+  if (name === false) return null;
+  const { profiles } = loadAuthProfiles();
+  const envName = environmentName(env);
+  if (typeof name === "string") {
+    if (!profiles[name]) throw new Error(`Auth profile "${name}" not found.`);
+    return { name, ...profiles[name] };
+  }
+  const candidates = Object.entries(profiles).filter(([, profile]) =>
+    (!profile.env || profile.env === envName) && (profile.hosts?.length || profile.env)
+  );
+  const match = candidates.find(([, profile]) => profile.hosts?.some(pattern => hostMatches(pattern, url)))
+    || candidates.find(([, profile]) => !profile.hosts?.length);
+  return match ? { name: match[0], ...match[1] } : null;
+}
+async function requestOAuth2Token(profile, settings) {
+  const grant = profile.grant || "client_credentials";
+  const params = new URLSearchParams({ grant_type: grant });
+  if (grant === "refresh_token") {
+    if (!profile.refreshToken) throw new Error(`Auth profile "${profile.name}" has no refreshToken.`);
+    params.set("refresh_token", profile.refreshToken);
+  }
+  if (profile.scope) params.set("scope", profile.scope);
+  if (profile.audience) params.set("audience", profile.audience);
+
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (profile.clientAuth === "basic") {
+    headers.Authorization = `Basic ${Buffer.from(`${profile.clientId}:${profile.clientSecret || ""}`).toString("base64")}`;
+  } else {
+    if (profile.clientId) params.set("client_id", profile.clientId);
+    if (profile.clientSecret) params.set("client_secret", profile.clientSecret);
+  }
+
+  try {
+    const response = await sendWithRetry({ method: "POST", url: profile.tokenUrl, headers, data: params.toString(), ...transportOptions(settings, profile.tokenUrl) }, settings);
+    if (!response.data?.access_token) throw new Error("response has no access_token");
+    return response.data;
+  } catch (error) {
+    throw new Error(`OAuth2 token request for profile "${profile.name}" failed: ${formatError(error).message}`);
+  }
+}
+// Returns a cached access token, fetching a new one when it is missing or expired
+async function getOAuth2Token(profile, settings) {
+  if (profile.accessToken && !isTokenExpired(profile.accessToken, profile.expiresAt)) return profile.accessToken;
+  log.verbose(profile.accessToken ? `OAuth2 token for "${profile.name}" expired, refreshing.` : `Requesting OAuth2 token for "${profile.name}".`);
+  const token = await requestOAuth2Token(profile, settings);
+
+  const data = loadAuthProfiles();
+  const stored = data.profiles[profile.name];
+  if (stored) {
+    stored.accessToken = token.access_token;
+    stored.expiresAt = token.expires_in ? Date.now() + token.expires_in * 1000 : getTokenExpiry(token.access_token);
+    if (token.refresh_token) stored.refreshToken = token.refresh_token;
+    try {
+      await unlockSecrets(true);
+      saveAuthProfiles(data);
+    } catch (error) {
+      log.verbose(`OAuth2 token not cached: ${error.message}`);
+    }
+  }
+  return token.access_token;
+}
+async function applyAuth(profile, { url, headers }, { variables, env, settings }) {
+  const { name, ...fields } = profile;
+  const resolved = { name, ...substituteVariables(fields, variables, env) };
+  if (resolved.type === "bearer") {
+    const expiry = checkJWTExpiry(resolved.token);
+    if (expiry) log.warn(expiry.expired ? "⚠️ JWT token has expired." : `JWT expires in ${expiry.minutesLeft} minutes.`);
+    return { url, headers: { ...headers, Authorization: `Bearer ${resolved.token}` } };
+  }
+  if (resolved.type === "basic") {
+    const credentials = Buffer.from(`${resolved.username}:${resolved.password || ""}`).toString("base64");
+    return { url, headers: { ...headers, Authorization: `Basic ${credentials}` } };
+  }
+  if (resolved.type === "apikey") {
+    const keyName = resolved.key || "X-API-Key";
+    if (resolved.in === "query") {
+      const parsed = new URL(url);
+      parsed.searchParams.set(keyName, resolved.value);
+      return { url: parsed.toString(), headers };
+    }
+    return { url, headers: { ...headers, [keyName]: resolved.value } };
+  }
+  if (resolved.type === "oauth2") {
+    return { url, headers: { ...headers, Authorization: `Bearer ${await getOAuth2Token(resolved, settings)}` } };
+  }
+  throw new Error(`Auth profile "${name}" has unknown type "${resolved.type}".`);
+}
+// Body helpers
+const bodyModes = ["json", "form", "multipart", "raw", "graphql"];
+const mimeTypes = {
+  ".json": "application/json", ".xml": "application/xml", ".html": "text/html", ".txt": "text/plain", ".csv": "text/csv",
+  ".yaml": "application/yaml", ".yml": "application/yaml", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png",
+  ".gif": "image/gif", ".webp": "image/webp", ".svg": "image/svg+xml", ".pdf": "application/pdf", ".zip": "application/zip"
+};
+function guessContentType(file) {
+  return mimeTypes[path.extname(file).toLowerCase()] || "application/octet-stream";
+}
+function hasHeader(headers, name) {
+  return Object.keys(headers || {}).some(key => key.toLowerCase() === name.toLowerCase());
+}
+// "name=value", "name=@file" or "name=@file;type=image/png", as in curl -F
+function parseFormField(definition) {
+  const separator = definition.indexOf("=");
+  if (separator <= 0) throw new Error(`Invalid form field "${definition}" (use name=value or name=@file).`);
+  const name = definition.slice(0, separator);
+  const value = definition.slice(separator + 1);
+  if (!value.startsWith("@")) return { name, value };
+  const [file, ...options] = value.slice(1).split(";");
+  const type = options.find(option => option.startsWith("type="))?.slice(5);
+  return type ? { name, file, type } : { name, file };
+}
+// Multipart bodies are a list of fields; a { name: value } object is accepted too
+function toMultipartFields(body) {
+  if (Array.isArray(body)) return body;
+  return Object.entries(body || {}).map(([name, value]) => parseFormField(`${name}=${value}`));
+}
+// Accepts "a=1&b=2" or a JSON object
+function parseFormBody(input) {
+  try {
+    const parsed = JSON.parse(input);
+    if (parsed && typeof parsed === "object") return parsed;
+  } catch { /* not JSON, read it as a query string */ }
+  return Object.fromEntries(new URLSearchParams(input));
+}
+function readBodyFile(file) {
+  if (file === "-") return fs.readFileSync(0);
+  try { return fs.readFileSync(file); }
+  catch { throw new Error(`Cannot read body file ${file}.`); }
+}
+// Only the settings that differ from a plain JSON body, for history and saved requests
+function bodySettings({ bodyMode, bodyFile, contentType }) {
+  return {
+    ...(bodyMode && bodyMode !== "json" ? { bodyMode } : {}),
+    ...(bodyFile ? { bodyFile } : {}),
+    ...(contentType ? { contentType } : {})
+  };
+}
+// Turns a request's body settings into the data axios sends and the Content-Type to use
+function buildRequestBody({ body, bodyMode = "json", bodyFile, contentType }) {
+  if (!bodyModes.includes(bodyMode)) throw new Error(`Unknown body mode "${bodyMode}" (use ${bodyModes.join(", ")}).`);
+  if (bodyMode === "graphql") {
+    // A .graphql file only holds the document; variables and operationName stay in the body
+    const { query, variables, operationName } = typeof body === "string" ? { query: body } : body || {};
+    const document = bodyFile ? readBodyFile(bodyFile).toString("utf8") : query;
+    if (!String(document ?? "").trim()) throw new Error("A GraphQL request needs a query or a .graphql file.");
+    const data = { query: document, ...(variables !== undefined ? { variables } : {}), ...(operationName ? { operationName } : {}) };
+    return { data, contentType: contentType || "application/json" };
+  }
+  if (bodyFile) {
+    const defaults = { json: "application/json", form: "application/x-www-form-urlencoded", raw: bodyFile === "-" ? "text/plain" : guessContentType(bodyFile) };
+    return { data: readBodyFile(bodyFile), contentType: contentType || defaults[bodyMode] || "application/octet-stream" };
+  }
+  if (bodyMode === "form") {
+    const fields = typeof body === "string" ? parseFormBody(body) : body || {};
+    const encoded = new URLSearchParams(Object.entries(fields).map(([key, value]) => [key, String(value)])).toString();
+    return { data: encoded, contentType: contentType || "application/x-www-form-urlencoded" };
+  }
+  if (bodyMode === "multipart") {
+    // axios sets the multipart Content-Type with its boundary itself
+    const form = new FormData();
+    toMultipartFields(body).forEach(field => {
+      if (field.file === undefined) return form.append(field.name, String(field.value ?? ""));
+      const content = readBodyFile(field.file);
+      form.append(field.name, new Blob([content], { type: field.type || guessContentType(field.file) }), path.basename(field.file));
+    });
+    return { data: form };
+  }
+  if (bodyMode === "raw") return { data: typeof body === "string" ? body : JSON.stringify(body ?? ""), contentType: contentType || "text/plain" };
+  return { data: body, contentType };
+}
+function isTextContentType(contentType) {
+  return !contentType || /^text\/|json|xml|html|javascript|ecmascript|yaml|csv|x-www-form-urlencoded/i.test(contentType);
+}
+// Turns the raw response buffer into text and, where possible, parsed JSON
+function decodeResponseBody(buffer, headers) {
+  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || "");
+  const contentType = String(headers?.["content-type"] || "");
+  if (!isTextContentType(contentType)) return { buffer: bytes, text: null, data: null, size: bytes.length, binary: true };
+  const text = bytes.toString("utf8");
+  let data = text;
+  if (/json/i.test(contentType) || /^\s*[[{]/.test(text)) {
+    try { data = JSON.parse(text); } catch { /* not JSON after all */ }
+  }
+  return { buffer: bytes, text, data, size: bytes.length, binary: false };
+}
+// GraphQL helpers
+const graphqlOperationTypes = ["query", "mutation", "subscription"];
+// Operations in a GraphQL document with their type, name and first root field, e.g. { type: "query", name: "GetUser", field: "user" }
+function graphqlOperations(document) {
+  const source = String(document ?? "").replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|#[^\r\n]*/g, " ");
+  const operations = [];
+  let braces = 0, parens = 0, current = null, expectName = false;
+  for (const [token] of source.matchAll(/[{}()]|\$?[_A-Za-z]\w*/g)) {
+    if (token === "(" || token === ")") {
+      parens += token === "(" ? 1 : -1;
+      expectName = false;
+    } else if (parens > 0 || token.startsWith("$")) continue;
+    else if (token === "{") {
+      if (braces === 0 && parens === 0 && !current) operations.push(current = { type: "query" });
+      braces++;
+      expectName = false;
+    } else if (token === "}") {
+      if (--braces === 0) current = null;
+    } else if (braces === 0 && !current) {
+      current = token === "fragment" ? { fragment: true } : { type: token };
+      if (graphqlOperationTypes.includes(token)) operations.push(current);
+      expectName = true;
+    } else if (braces === 0 && expectName) {
+      current.name = token;
+      expectName = false;
+    } else if (braces === 1 && current && !current.fragment && !current.field) current.field = token;
+  }
+  return operations;
+}
+/**
+ * The operation a GraphQL request runs: the one named operationName, or the first in the document.
+ * @param {string} document
+ * @param {string} [operationName]
+ * @returns {{ type: string, name?: string, field?: string }}
+ */
+function graphqlOperation(document, operationName) {
+  const operations = graphqlOperations(document);
+  if (operationName) return operations.find(operation => operation.name === operationName) || { type: "query", name: operationName };
+  return operations[0] || { type: "query" };
+}
+// "query GetUser", or the root field for anonymous operations
+function describeGraphqlOperation({ type, name, field } = {}) {
+  return [type, name || field].filter(Boolean).join(" ");
+}
+// Messages of a response's "errors" array, with the path they belong to; null without errors
+function graphqlErrors(data) {
+  if (!Array.isArray(data?.errors) || !data.errors.length) return null;
+  return data.errors.map(error => {
+    const message = typeof error?.message === "string" ? error.message : JSON.stringify(error);
+    return Array.isArray(error?.path) ? `${message} (at ${error.path.join(".")})` : message;
+  });
+}
+// Transport settings helpers
+// Config "request" settings apply to every request, a saved request's "settings" override them and CLI flags win
+const defaultRequestSettings = {
+  timeout: 0, retries: 0, retryDelay: 500, maxRetryDelay: 30000, retryOn: [429, 502, 503, 504, "network"],
+  followRedirects: true, maxRedirects: 21, proxy: undefined, ca: undefined, cert: undefined, key: undefined, insecure: false
+};
+// Plain numbers are milliseconds, strings may use units like 10s or 2m
+function toMilliseconds(value, name) {
+  if (typeof value === "number" && value >= 0) return value;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Number(value);
+  try { return parseDuration(value); }
+  catch { throw new Error(`${name} must be a number of milliseconds or a duration like 10s.`); }
+}
+function toCount(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a whole number.`);
+  return number;
+}
+function expandHome(file) {
+  return file.replace(/^~(?=$|\/)/, os.homedir());
+}
+// Effective settings: config "request" defaults, then the request's own settings, then overrides; throws on invalid values
+function requestSettings(saved, overrides) {
+  const settings = { ...defaultRequestSettings, ...loadConfig().request, ...saved, ...overrides };
+  return {
+    ...settings,
+    timeout: toMilliseconds(settings.timeout, "timeout"),
+    retries: toCount(settings.retries, "retries"),
+    retryDelay: toMilliseconds(settings.retryDelay, "retryDelay"),
+    maxRetryDelay: toMilliseconds(settings.maxRetryDelay, "maxRetryDelay"),
+    retryOn: [].concat(settings.retryOn).map(code => {
+      if (String(code).trim() === "network") return "network";
+      const status = Number(code);
+      if (!Number.isInteger(status) || status < 100 || status > 599) throw new Error(`Invalid retryOn status "${code}".`);
+      return status;
+    }),
+    maxRedirects: toCount(settings.maxRedirects, "maxRedirects"),
+    // An environment proxy (HTTPS_PROXY) is left to axios unless a proxy is set or disabled
+    proxy: settings.proxy || (settings.proxy === false ? false : undefined)
+  };
+}
+function readTlsFile(file, what) {
+  try { return fs.readFileSync(expandHome(file)); }
+  catch { throw new Error(`Cannot read ${what} file ${file}.`); }
+}
+function proxyConfig(proxyUrl) {
+  let parsed;
+  try { parsed = new URL(proxyUrl); }
+  catch { throw new Error(`Invalid proxy URL "${proxyUrl}".`); }
+  return {
+    protocol: parsed.protocol.slice(0, -1),
+    host: parsed.hostname,
+    port: Number(parsed.port || (parsed.protocol === "https:" ? 443 : 80)),
+    ...(parsed.username ? { auth: { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) } } : {})
+  };
+}
+// The axios options for timeout, redirects, proxy and TLS
+function transportOptions(settings, url) {
+  const options = { timeout: settings.timeout, maxRedirects: settings.followRedirects ? settings.maxRedirects : 0 };
+  // Without redirects a 3xx is the final response rather than an error
+  if (!settings.followRedirects) options.validateStatus = status => status >= 200 && status < 400;
+  const tls = {
+    ...(settings.ca ? { ca: readTlsFile(settings.ca, "CA") } : {}),
+    ...(settings.cert ? { cert: readTlsFile(settings.cert, "certificate") } : {}),
+    ...(settings.key ? { key: readTlsFile(settings.key, "key") } : {}),
+    ...(settings.certPassphrase || process.env.HTTPTMUX_CERT_PASSPHRASE ? { passphrase: settings.certPassphrase || process.env.HTTPTMUX_CERT_PASSPHRASE } : {}),
+    ...(settings.insecure ? { rejectUnauthorized: false } : {})
+  };
+  const proxy = settings.proxy && proxyConfig(settings.proxy);
+  if (settings.proxy === false) options.proxy = false;
+  else if (proxy && /^https:/i.test(url)) {
+    // axios can't tunnel HTTPS through a proxy itself, so a CONNECT agent does it
+    options.proxy = false;
+    options.httpsAgent = new HttpsProxyAgent(settings.proxy);
+    // Constructor options only reach the proxy connection, the tunnelled one reads agent.options
+    Object.assign(options.httpsAgent.options, tls);
+  } else if (proxy) options.proxy = proxy;
+  if (!options.httpsAgent && Object.keys(tls).length) options.httpsAgent = new https.Agent(tls);
+  return options;
+}
+function describeSettings(settings) {
+  const parts = [`timeout ${settings.timeout ? `${settings.timeout} ms` : "none"}`];
+  parts.push(settings.retries ? `${settings.retries} ${settings.retries === 1 ? "retry" : "retries"} from ${settings.retryDelay} ms on ${settings.retryOn.join(", ")}` : "no retries");
+  parts.push(settings.followRedirects ? `up to ${settings.maxRedirects} redirects` : "redirects not followed");
+  if (settings.proxy) {
+    const proxy = new URL(settings.proxy);
+    parts.push(`proxy ${proxy.protocol}//${proxy.host}`);
+  } else if (settings.proxy === false) parts.push("no proxy");
+  if (settings.ca) parts.push(`CA ${settings.ca}`);
+  if (settings.cert) parts.push(`client cert ${settings.cert}`);
+  if (settings.insecure) parts.push("TLS verification off");
+  return `Request settings: ${parts.join(", ")}.`;
+}
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(headers) {
+  const value = headers?.["retry-after"];
+  if (value === undefined) return undefined;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+// Sends the request, retrying with exponential backoff on the configured statuses and network errors
+async function sendWithRetry(config, settings, rebuild) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios(config);
+      if (attempt >= settings.retries || !settings.retryOn.includes(response.status)) return response;
+      await waitForRetry(`HTTP ${response.status}`, response.headers, attempt, settings);
+    } catch (error) {
+      const retryable = error.response ? settings.retryOn.includes(error.response.status) : settings.retryOn.includes("network") && Boolean(error.code || error.request);
+      if (attempt >= settings.retries || !retryable) throw error;
+      await waitForRetry(error.response ? `HTTP ${error.response.status}` : error.code || error.message, error.response?.headers, attempt, settings);
+    }
+    // Streamed bodies (multipart) can only be sent once
+    if (rebuild) config = { ...config, data: rebuild() };
+  }
+}
+async function waitForRetry(reason, headers, attempt, settings) {
+  const delay = Math.min(retryAfterMs(headers) ?? settings.retryDelay * 2 ** attempt, settings.maxRetryDelay);
+  log.warn(`${reason}, retrying in ${Math.round(delay / 100) / 10} s (${attempt + 1}/${settings.retries})...`);
+  await new Promise(resolve => setTimeout(resolve, delay));
+}
+// Error formatting
+/**
+ * Status, headers, data and message of an axios error; status is "ERROR" when no response arrived.
+ * @param {Error & { response?: object }} error
+ * @returns {{ status: number|"ERROR", message: string, headers?: object, data?: * }}
+ */
+function formatError(error) {
+  if (error.response) {
+    return {
+      status: error.response.status,
+      headers: error.response.headers,
+      data: error.response.data,
+      message: error.message
+    };
+  }
+  return { status: "ERROR", message: error.message };
+}
+// Request helpers
+let legacyJWTWarned = false;
+function warnLegacyJWT() {
+  if (legacyJWTWarned || !loadJWT()) return;
+  legacyJWTWarned = true;
+  log.warn(`The token in ${paths.jwt} is no longer sent to every host. It is moved into the secrets store the next time that is unlocked, e.g. by "Set JWT token".`);
+}
+/**
+ * @typedef {object} Request
+ * @property {string} method GET, POST, ...
+ * @property {string} url May contain {{variables}}
+ * @property {Object<string, string>} [headers]
+ * @property {*} [body] JSON value, form fields, multipart fields or text, depending on bodyMode
+ * @property {"json"|"form"|"multipart"|"raw"|"graphql"} [bodyMode] Defaults to json; graphql bodies are { query, variables, operationName }
+ * @property {string} [bodyFile] Send this file ("-" for stdin) instead of body, or the GraphQL query from it
+ * @property {string} [contentType] Content-Type for raw and file bodies
+ * @property {string|false} [auth] Auth profile name, or false for none
+ * @property {object} [settings] Timeout, retry, redirect, proxy and TLS settings (see requestSettings)
+ */
+/**
+ * @typedef {object} RequestOptions
+ * @property {string|null} [env] Environment for {{variables}}, cookies and auth; defaults to the active one, null for none
+ * @property {Object<string, *>} [variables] Extra variables that override the environment's
+ * @property {Object<string, *>} [defaults] Variables for placeholders that nothing else defines, e.g. a spec's examples
+ * @property {string|false} [auth] Auth profile that overrides the request's own, false for none
+ * @property {object} [settings] Transport settings that override the config and the request's own
+ * @property {boolean} [cookies] false leaves the cookie jar alone
+ * @property {boolean} [history] false doesn't record the request
+ */
+/**
+ * @typedef {object} RequestResult
+ * @property {boolean} ok Whether a response arrived with an accepted status (and, for GraphQL, without errors)
+ * @property {string} method
+ * @property {string} url The URL after variable substitution
+ * @property {number|"ERROR"} status "ERROR" when no response arrived
+ * @property {string} [statusText]
+ * @property {Object<string, string|string[]>} [headers] Response headers, lower-cased
+ * @property {*} [data] Parsed JSON, or the text for other text bodies; null for binary bodies
+ * @property {string|null} [text] The body as text, null for binary bodies
+ * @property {Buffer} [body] The body as received
+ * @property {boolean} [binary]
+ * @property {number} [size] Body size in bytes
+ * @property {number} [duration] Milliseconds until the response, retries included
+ * @property {string} [error] What went wrong when ok is false
+ * @property {string} [auth] Name of the auth profile that was applied
+ * @property {{ type: string, name?: string, field?: string }} [operation] The GraphQL operation that ran
+ * @property {object[]} [errors] The GraphQL response's errors array
+ */
+
+/**
+ * Resolves variables, the body, the auth profile and the transport settings of a request.
+ * Throws when the request can't be sent, e.g. for an undefined variable or a missing body file.
+ * @param {Request} request
+ * @param {RequestOptions} [options]
+ */
+async function resolveRequest(request, { env, variables, defaults, auth, settings } = {}) {
+  let { url, headers, body, bodyFile } = request;
+  const { method, bodyMode, contentType } = request;
+  const envName = environmentName(env);
+  const values = getVariables({ env, variables, defaults });
+  ({ url, headers, body, bodyFile } = substituteVariables({ url, headers, body, bodyFile }, values, envName));
+  const payload = buildRequestBody({ body, bodyMode, bodyFile, contentType });
+  const effective = requestSettings(request.settings, settings);
+  await unlockSecrets();
+  const profile = findAuthProfile(url, auth !== undefined ? auth : request.auth, env);
+  return { method, url, headers, body, bodyMode, bodyFile, contentType, payload, env: envName, variables: values, auth: profile, settings: effective };
+}
+/**
+ * Adds credentials and the body's Content-Type to a resolved request, giving the config axios is called with.
+ * @param {Awaited<ReturnType<typeof resolveRequest>>} resolved
+ */
+async function authorizeRequest({ method, url, headers, payload, auth, env, variables, settings }) {
+  let sent = { url, headers };
+  if (auth) {
+    sent = await applyAuth(auth, sent, { variables, env, settings });
+    log.verbose(`Auth profile "${auth.name}" (${auth.type}) applied.`);
+  } else warnLegacyJWT();
+  if (payload.contentType && !hasHeader(sent.headers, "content-type")) sent.headers = { ...sent.headers, "Content-Type": payload.contentType };
+  return { method, url: sent.url, headers: sent.headers, data: payload.data };
+}
+/**
+ * Sends a request the way the CLI does (variables, auth profiles, cookies, retries) and records it in history.
+ * Network errors and error statuses don't throw, they come back with ok set to false.
+ * @param {Request} request
+ * @param {RequestOptions} [options]
+ * @returns {Promise<RequestResult>}
+ */
+async function executeRequest(request, options = {}) {
+  const resolved = await resolveRequest(request, options);
+  const { method, url, headers, body, bodyMode, bodyFile, contentType, env, auth, settings } = resolved;
+  if (env) log.verbose(`Using environment "${env}".`);
+  log.verbose(describeSettings(settings));
+  const jar = options.cookies !== false && cookiesEnabled() ? cookieJarName(options.env) : null;
+
+  let start = Date.now();
+  let storeResponseCookies = () => {};
+  let response;
+  let failure;
+  try {
+    const config = { ...await authorizeRequest(resolved), ...transportOptions(settings, url), responseType: "arraybuffer" };
+    if (jar) storeResponseCookies = attachCookieJar(config, jar);
+    start = Date.now();
+    // Streamed multipart bodies are rebuilt for every retry
+    const rebuild = bodyMode === "multipart" ? () => buildRequestBody(resolved).data : undefined;
+    response = await sendWithRetry(config, settings, rebuild);
+  } catch (error) {
+    failure = error;
+    response = error.response;
+  }
+  const duration = response ? Date.now() - start : undefined;
+  const decoded = response && decodeResponseBody(response.data, response.headers);
+  if (response) storeResponseCookies(response);
+  // GraphQL servers answer 200 with an errors array when the operation failed
+  const operation = bodyMode === "graphql" ? graphqlOperation(resolved.payload.data.query, resolved.payload.data.operationName) : undefined;
+  const errors = operation && decoded ? graphqlErrors(decoded.data) : null;
+  const error = failure ? failure.message : errors ? `GraphQL errors: ${errors.join("; ")}` : undefined;
+
+  if (options.history !== false) {
+    // History keeps the request without injected credentials, and file contents are never stored
+    saveHistory({
+      timestamp: new Date().toISOString(), method, url, headers, ...(bodyFile && !operation ? {} : { body }), ...bodySettings({ bodyMode, bodyFile, contentType }),
+      ...(operation ? { graphql: operation } : {}), ...(request.settings ? { settings: request.settings } : {}), auth: auth?.name,
+      status: response ? response.status : "ERROR", ...(error ? { error } : {}), ...(response ? { duration, response: historyResponse(response.headers, decoded) } : {})
+    });
+  }
+  return {
+    ok: !failure && !errors, method, url, status: response ? response.status : "ERROR",
+    ...(response ? {
+      statusText: response.statusText, headers: Object.fromEntries(Object.entries(response.headers)),
+      data: decoded.data, text: decoded.text, body: decoded.buffer, binary: decoded.binary, size: decoded.size, duration
+    } : {}),
+    ...(error ? { error } : {}), ...(operation ? { operation } : {}), ...(errors ? { errors: decoded.data.errors } : {}),
+    auth: auth?.name
+  };
+}
+
+export {
+  paths, setLogger, setPassphrasePrompt, writePrivateFile, loadConfig, parseDuration,
+  loadHistory, saveHistory, clearHistory, exportHistory, REDACTED, redactEntry, queryHistory, percentile, historyStats,
+  resolveHistoryEntry, toSavedRequest, restoreRedacted, findRedacted,
+  loadEnvironments, saveEnvironments, getVariables, setVariables, substituteVariables,
+  loadCookieJars, saveCookieJars, cookiesEnabled, cookieJarName, loadCookies, storeCookies, cookieHeaderFor, attachCookieJar, clearCookies,
+  loadJWT, saveJWT, decodeJWT, checkJWTExpiry, getTokenExpiry, isTokenExpired,
+  unlockSecrets, loadAuthProfiles, saveAuthProfiles, findAuthProfile,
+  bodyModes, guessContentType, hasHeader, parseFormField, toMultipartFields, parseFormBody, bodySettings, buildRequestBody, decodeResponseBody,
+  graphqlOperationTypes, graphqlOperation, describeGraphqlOperation, graphqlErrors,
+  defaultRequestSettings, toMilliseconds, requestSettings, transportOptions, describeSettings, sendWithRetry,
+  tokenizeShell, matchesStatus, formatError, resolveRequest, authorizeRequest, executeRequest
+};
@@ -0,0 +1,133 @@
+// GraphQL schema introspection: lists a server's queries, mutations and subscriptions and builds
+// a starting operation (with a variables template) for any of them.
+import { executeRequest } from './core.js';
+
+const typeRef = "kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } }";
+const introspectionQuery = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind name
+      fields { name description args { name description defaultValue type { ${typeRef} } } type { ${typeRef} } }
+      inputFields { name defaultValue type { ${typeRef} } }
+      enumValues { name }
+    }
+  }
+}`;
+
+/**
+ * @typedef {object} GraphqlField
+ * @property {string} name
+ * @property {string} [description]
+ * @property {{ name: string, type: string, required: boolean, defaultValue?: string, ref: object }[]} args
+ * @property {string} type Return type in GraphQL notation, e.g. "[User!]!"
+ * @property {object} ref The introspected type reference behind type
+ */
+/**
+ * @typedef {object} GraphqlSchema
+ * @property {GraphqlField[]} query
+ * @property {GraphqlField[]} mutation
+ * @property {GraphqlField[]} subscription
+ * @property {Map<string, object>} types Introspected types by name
+ */
+
+// "[User!]!" for NON_NULL(LIST(NON_NULL(User)))
+function typeName(ref) {
+  if (ref.kind === "NON_NULL") return `${typeName(ref.ofType)}!`;
+  if (ref.kind === "LIST") return `[${typeName(ref.ofType)}]`;
+  return ref.name;
+}
+function namedType(ref) {
+  return ref.ofType ? namedType(ref.ofType) : ref;
+}
+function toField(field) {
+  return {
+    name: field.name,
+    ...(field.description ? { description: field.description } : {}),
+    args: (field.args || []).map(arg => ({
+      name: arg.name, type: typeName(arg.type), required: arg.type.kind === "NON_NULL" && arg.defaultValue == null,
+      ...(arg.defaultValue != null ? { defaultValue: arg.defaultValue } : {}), ref: arg.type
+    })),
+    type: typeName(field.type),
+    ref: field.type
+  };
+}
+
+/**
+ * Runs the introspection query against a GraphQL endpoint, with the request's headers, auth profile
+ * and settings. Not recorded in history. Throws when the server doesn't answer with a schema.
+ * @param {import('./core.js').Request} request url and headers of the endpoint; method and body are ignored
+ * @param {import('./core.js').RequestOptions} [options]
+ * @returns {Promise<GraphqlSchema>}
+ */
+async function introspectSchema(request, options = {}) {
+  const result = await executeRequest(
+    { ...request, method: "POST", bodyMode: "graphql", body: { query: introspectionQuery }, bodyFile: undefined, contentType: undefined },
+    { ...options, history: false }
+  );
+  const schema = result.data?.data?.__schema;
+  if (!result.ok || !schema) throw new Error(`Introspection failed: ${result.error || "the response has no schema"}`);
+  const types = new Map(schema.types.map(type => [type.name, type]));
+  const rootFields = root => (root && types.get(root.name)?.fields || []).map(toField);
+  return {
+    query: rootFields(schema.queryType),
+    mutation: rootFields(schema.mutationType),
+    subscription: rootFields(schema.subscriptionType),
+    types
+  };
+}
+
+// Scalar and enum fields without required arguments, one level of objects deep; __typename when none are left
+function selectionSet(ref, types, indent, depth = 0) {
+  const type = types.get(namedType(ref).name);
+  if (!type || !["OBJECT", "INTERFACE", "UNION"].includes(type.kind)) return "";
+  const lines = (type.fields || [])
+    .filter(field => !field.args?.some(arg => arg.type.kind === "NON_NULL" && arg.defaultValue == null))
+    .map(field => {
+      const kind = types.get(namedType(field.type).name)?.kind;
+      if (kind === "SCALAR" || kind === "ENUM") return `${indent}  ${field.name}`;
+      if (depth > 0) return null;
+      const nested = selectionSet(field.type, types, `${indent}  `, depth + 1);
+      return nested && `${indent}  ${field.name}${nested}`;
+    })
+    .filter(Boolean);
+  if (!lines.length) lines.push(`${indent}  __typename`);
+  return ` {\n${lines.join("\n")}\n${indent}}`;
+}
+// A placeholder value of the right shape for a variable
+function sampleValue(ref, types, depth = 0) {
+  if (ref.kind === "NON_NULL") return sampleValue(ref.ofType, types, depth);
+  if (ref.kind === "LIST") return [];
+  const type = types.get(ref.name);
+  if (type?.kind === "ENUM") return type.enumValues?.[0]?.name ?? "";
+  if (type?.kind === "INPUT_OBJECT") {
+    if (depth > 2) return {};
+    const required = (type.inputFields || []).filter(field => field.type.kind === "NON_NULL" && field.defaultValue == null);
+    return Object.fromEntries(required.map(field => [field.name, sampleValue(field.type, types, depth + 1)]));
+  }
+  return { Int: 0, Float: 0, Boolean: false }[ref.name] ?? "";
+}
+
+/**
+ * Builds an operation for one root field: its required arguments become variables and the
+ * selection covers the scalar fields of the result.
+ * @param {GraphqlSchema} schema
+ * @param {"query"|"mutation"|"subscription"} type
+ * @param {string} fieldName
+ * @returns {{ query: string, variables: object, operationName: string }}
+ */
+function buildOperation(schema, type, fieldName) {
+  const field = schema[type]?.find(candidate => candidate.name === fieldName);
+  if (!field) throw new Error(`The schema has no ${type} named "${fieldName}".`);
+  const required = field.args.filter(arg => arg.required);
+  const operationName = fieldName[0].toUpperCase() + fieldName.slice(1);
+  const definitions = required.length ? `(${required.map(arg => `$${arg.name}: ${arg.type}`).join(", ")})` : "";
+  const args = required.length ? `(${required.map(arg => `${arg.name}: $${arg.name}`).join(", ")})` : "";
+  const variables = Object.fromEntries(required.map(arg => [arg.name, sampleValue(arg.ref, schema.types)]));
+  const query = `${type} ${operationName}${definitions} {\n  ${fieldName}${args}${selectionSet(field.ref, schema.types, "  ")}\n}`;
+  return { query, variables, operationName };
+}
+
+export { introspectionQuery, introspectSchema, buildOperation };
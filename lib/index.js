@@ -0,0 +1,22 @@
+// httptmux as a library: send requests the way the CLI does and work with its history,
+// environments and credentials. Results are returned, nothing is printed.
+//
+//   import { executeRequest, queryHistory } from "httptmux";
+//   const result = await executeRequest({ method: "GET", url: "{{baseUrl}}/users" }, { env: "dev" });
+//   if (!result.ok) console.error(result.status, result.error);
+//
+// Files live in the platform's data directory (HOME by default); setPlatform({ dataDir: () => dir }) moves them.
+export {
+  executeRequest, resolveRequest, formatError,
+  loadHistory, saveHistory, clearHistory, exportHistory, queryHistory, historyStats, resolveHistoryEntry, redactEntry,
+  toSavedRequest, findRedacted, restoreRedacted,
+  loadJWT, saveJWT, decodeJWT, checkJWTExpiry, getTokenExpiry, isTokenExpired,
+  loadEnvironments, saveEnvironments, getVariables, setVariables, substituteVariables,
+  loadCookies, cookieJarName, clearCookies,
+  loadAuthProfiles, saveAuthProfiles, unlockSecrets,
+  loadConfig, requestSettings, paths, setLogger, setPassphrasePrompt,
+  graphqlOperation, graphqlErrors
+} from './core.js';
+export { openWebSocket, openEventStream } from './stream.js';
+export { introspectSchema, buildOperation } from './graphql.js';
+export { getPlatform, setPlatform, copyToClipboard } from './platform.js';
@@ -0,0 +1,63 @@
+// Platform layer: where httptmux keeps its files and how it reaches the clipboard.
+// index.js runs with the Termux platform and index_desktop.js with the desktop one;
+// library users get the detected one and can swap in their own with setPlatform().
+import os from 'os';
+import { spawnSync } from 'child_process';
+
+const isTermux = () => (process.env.PREFIX || "").includes("com.termux");
+
+/**
+ * @typedef {object} Platform
+ * @property {string} name
+ * @property {() => string} dataDir Directory for history, config, environments and secrets
+ * @property {() => string[][]} clipboardCommands Commands (with arguments) tried in order to copy text
+ */
+/** @type {Object<string, Platform>} */
+const platforms = {
+  termux: {
+    name: "termux",
+    dataDir: () => os.homedir(),
+    clipboardCommands: () => [["termux-clipboard-set"]]
+  },
+  desktop: {
+    name: "desktop",
+    dataDir: () => os.homedir(),
+    clipboardCommands: () => {
+      if (process.platform === "darwin") return [["pbcopy"]];
+      if (process.platform === "win32") return [["clip"]];
+      return [["wl-copy"], ["xclip", "-selection", "clipboard"], ["xsel", "--clipboard", "--input"]];
+    }
+  }
+};
+
+let current = isTermux() ? platforms.termux : platforms.desktop;
+
+/** @returns {Platform} */
+function getPlatform() {
+  return current;
+}
+/**
+ * Switches to a built-in platform by name, or overrides parts of the current one,
+ * e.g. setPlatform({ dataDir: () => "/tmp/httptmux" }).
+ * @param {"termux"|"desktop"|Partial<Platform>} platform
+ */
+function setPlatform(platform) {
+  if (typeof platform === "string") {
+    if (!platforms[platform]) throw new Error(`Unknown platform "${platform}" (use ${Object.keys(platforms).join(" or ")}).`);
+    current = platforms[platform];
+  } else current = { ...current, ...platform };
+  return current;
+}
+/**
+ * Copies text with the first clipboard command that works.
+ * @param {string} text
+ * @returns {boolean} Whether it was copied
+ */
+function copyToClipboard(text) {
+  return current.clipboardCommands().some(([command, ...commandArgs]) => {
+    const result = spawnSync(command, commandArgs, { input: text });
+    return !result.error && result.status === 0;
+  });
+}
+
+export { getPlatform, setPlatform, copyToClipboard };
@@ -0,0 +1,231 @@
+// Streaming sessions: WebSockets and Server-Sent Events. They are resolved like any other request
+// (variables, auth profiles, cookies, transport settings) and leave one summary entry in history.
+import WebSocket from 'ws';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import {
+  resolveRequest, authorizeRequest, transportOptions, sendWithRetry, formatError, saveHistory,
+  cookiesEnabled, cookieJarName, attachCookieJar
+} from './core.js';
+
+/**
+ * @typedef {object} StreamSession
+ * @property {string} url The URL after variable substitution
+ * @property {number} status Handshake status (101 for WebSockets)
+ * @property {string} [protocol] Subprotocol the server picked (WebSockets only)
+ * @property {(data: string|Buffer) => void} [send] Sends a message (WebSockets only)
+ * @property {() => void} close Ends the session from this side
+ * @property {Promise<object>} done Resolves with the session summary once the session has ended
+ */
+
+// ws:// and wss:// are used as given, http(s):// URLs are switched to them
+function toWebSocketUrl(url) {
+  return url.replace(/^http(s?):\/\//i, "ws$1://");
+}
+// Timeout, redirect, proxy and TLS settings as ws options; the timeout only covers the handshake
+function webSocketOptions(settings, url) {
+  const secure = /^wss:/i.test(url);
+  const { httpsAgent } = transportOptions(settings, url.replace(/^ws/i, "http"));
+  const agent = secure ? httpsAgent : settings.proxy ? new HttpsProxyAgent(settings.proxy) : undefined;
+  return {
+    ...(settings.timeout ? { handshakeTimeout: settings.timeout } : {}),
+    followRedirects: settings.followRedirects,
+    maxRedirects: settings.maxRedirects,
+    ...(agent ? { agent } : {})
+  };
+}
+// Adds jar cookies to the handshake; returns a function that stores the handshake's Set-Cookie headers
+function attachCookies(config, options) {
+  if (options.cookies === false || !cookiesEnabled()) return () => {};
+  return attachCookieJar(config, cookieJarName(options.env));
+}
+function recordSession(options, entry) {
+  if (options.history !== false) saveHistory({ timestamp: new Date().toISOString(), ...entry });
+}
+
+/**
+ * Opens a WebSocket with the request's headers, auth profile and cookies. Resolves once the
+ * handshake succeeded; a failed handshake is recorded in history and rejects.
+ * @param {import('./core.js').Request} request method and body are ignored
+ * @param {import('./core.js').RequestOptions & {
+ *   protocols?: string[],
+ *   onOpen?: (session: { url: string, protocol: string }) => void,
+ *   onMessage?: (message: { data: string|Buffer, binary: boolean, time: Date }) => void
+ * }} [options]
+ * @returns {Promise<StreamSession>}
+ */
+async function openWebSocket(request, options = {}) {
+  const { protocols = [], onOpen = () => {}, onMessage = () => {} } = options;
+  const resolved = await resolveRequest({ ...request, body: undefined, bodyFile: undefined }, options);
+  const { headers, auth, settings } = resolved;
+  const url = toWebSocketUrl(resolved.url);
+  const config = { url, headers: (await authorizeRequest({ ...resolved, url })).headers };
+  const storeCookies = attachCookies(config, options);
+  const entry = { mode: "ws", method: "GET", url, headers, auth: auth?.name };
+  const start = Date.now();
+  const socket = new WebSocket(config.url, protocols, { headers: config.headers, ...webSocketOptions(settings, url) });
+  const stats = { sent: 0, received: 0, bytesSent: 0, bytesReceived: 0 };
+  // Listening before the handshake settles, servers often greet in the same packet as the upgrade
+  socket.on("message", (data, binary) => {
+    stats.received++;
+    stats.bytesReceived += data.length;
+    onMessage({ data: binary ? data : data.toString("utf8"), binary, time: new Date() });
+  });
+
+  await new Promise((resolve, reject) => {
+    let settled = false;
+    const fail = (status, message) => {
+      if (settled) return;
+      settled = true;
+      recordSession(options, { ...entry, status, error: message });
+      reject(new Error(message));
+    };
+    socket.once("upgrade", response => storeCookies(response));
+    socket.once("open", () => {
+      settled = true;
+      onOpen({ url, protocol: socket.protocol });
+      resolve();
+    });
+    // With this listener ws leaves the failed handshake to us instead of emitting "error"
+    socket.once("unexpected-response", (req, response) => {
+      storeCookies(response);
+      fail(response.statusCode, `WebSocket handshake failed: HTTP ${response.statusCode} ${response.statusMessage || ""}`.trim());
+      req.destroy();
+    });
+    socket.on("error", error => fail("ERROR", error.message));
+  });
+
+  let failure;
+  socket.on("error", error => { failure = error; });
+  const done = new Promise(resolve => socket.once("close", (code, reason) => {
+    const session = { ...stats, closeCode: code, closeReason: reason.toString("utf8") };
+    const duration = Date.now() - start;
+    const error = failure ? { error: failure.message } : {};
+    recordSession(options, { ...entry, status: 101, duration, session, ...error });
+    resolve({ ...session, duration, ...error });
+  }));
+  return {
+    url, status: 101, protocol: socket.protocol, done,
+    send(data) {
+      socket.send(data);
+      stats.sent++;
+      stats.bytesSent += Buffer.byteLength(data);
+    },
+    close(code = 1000, reason = "") {
+      if (socket.readyState === WebSocket.OPEN) socket.close(code, reason);
+      else if (socket.readyState === WebSocket.CONNECTING) socket.terminate();
+    }
+  };
+}
+
+// Splits a text/event-stream into events (event, data, id and retry fields; ":" lines are comments)
+function createEventParser(onEvent) {
+  let buffered = "";
+  let event = { data: [] };
+  const dispatch = () => {
+    if (event.data.length) onEvent({ event: event.event || "message", data: event.data.join("\n"), ...(event.id !== undefined ? { id: event.id } : {}), ...(event.retry !== undefined ? { retry: event.retry } : {}) });
+    event = { data: [] };
+  };
+  return chunk => {
+    buffered += chunk;
+    // A "\r" at the end of a chunk is held back, the next one may start with "\n"
+    const lines = buffered.split(/\r\n|\r(?!$)|\n/);
+    buffered = lines.pop();
+    lines.forEach(line => {
+      if (line === "") return dispatch();
+      if (line.startsWith(":")) return;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "data") event.data.push(value);
+      else if (field === "event") event.event = value;
+      else if (field === "id" && !value.includes("\0")) event.id = value;
+      else if (field === "retry" && /^\d+$/.test(value)) event.retry = Number(value);
+    });
+  };
+}
+
+/**
+ * Subscribes to a Server-Sent Events stream with the request's method, headers, body, auth profile
+ * and cookies. Resolves once the stream is open; error statuses and other content types are
+ * recorded in history and reject.
+ * @param {import('./core.js').Request} request
+ * @param {import('./core.js').RequestOptions & {
+ *   lastEventId?: string,
+ *   onEvent?: (event: { event: string, data: string, id?: string, retry?: number, time: Date }) => void
+ * }} [options]
+ * @returns {Promise<StreamSession>}
+ */
+async function openEventStream(request, options = {}) {
+  const { lastEventId, onEvent = () => {} } = options;
+  const resolved = await resolveRequest({ ...request, method: request.method || "GET" }, options);
+  const { method, url, headers, auth, settings } = resolved;
+  const authorized = await authorizeRequest(resolved);
+  const config = {
+    ...authorized,
+    headers: { Accept: "text/event-stream", "Cache-Control": "no-cache", ...authorized.headers, ...(lastEventId ? { "Last-Event-ID": lastEventId } : {}) },
+    ...transportOptions(settings, url),
+    responseType: "stream"
+  };
+  const storeCookies = attachCookies(config, options);
+  const controller = new AbortController();
+  config.signal = controller.signal;
+  const entry = { mode: "sse", method, url, headers, auth: auth?.name };
+  const start = Date.now();
+
+  let response;
+  try { response = await sendWithRetry(config, settings); }
+  catch (error) {
+    error.response?.data?.destroy?.();
+    const formatted = formatError(error);
+    recordSession(options, { ...entry, status: formatted.status, error: formatted.message });
+    throw new Error(formatted.message);
+  }
+  storeCookies(response);
+  const contentType = String(response.headers["content-type"] || "");
+  if (!/^text\/event-stream/i.test(contentType)) {
+    response.data.destroy();
+    const message = `Expected an event stream (text/event-stream), got ${contentType || "no Content-Type"}.`;
+    recordSession(options, { ...entry, status: response.status, error: message });
+    throw new Error(message);
+  }
+
+  const stats = { events: 0, bytesReceived: 0 };
+  let lastId = lastEventId;
+  let closedByClient = false;
+  const parse = createEventParser(event => {
+    stats.events++;
+    if (event.id !== undefined) lastId = event.id;
+    onEvent({ ...event, time: new Date() });
+  });
+  const stream = response.data;
+  stream.setEncoding("utf8");
+  stream.on("data", chunk => {
+    stats.bytesReceived += Buffer.byteLength(chunk);
+    parse(chunk);
+  });
+  const done = new Promise(resolve => {
+    let finished = false;
+    const finish = error => {
+      if (finished) return;
+      finished = true;
+      const failure = error && !closedByClient ? error.message : undefined;
+      const session = { ...stats, ...(lastId !== undefined ? { lastEventId: lastId } : {}), closedBy: closedByClient ? "client" : "server" };
+      const duration = Date.now() - start;
+      recordSession(options, { ...entry, status: response.status, duration, session, ...(failure ? { error: failure } : {}) });
+      resolve({ ...session, duration, ...(failure ? { error: failure } : {}) });
+    };
+    stream.once("end", () => finish());
+    stream.once("error", finish);
+    stream.once("close", () => finish());
+  });
+  return {
+    url, status: response.status, done,
+    close() {
+      closedByClient = true;
+      controller.abort();
+      stream.destroy();
+    }
+  };
+}
+
+export { openWebSocket, openEventStream, createEventParser };
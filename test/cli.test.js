@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile, spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const bin = fileURLToPath(new URL("../index_desktop.js", import.meta.url));
+
+let server;
+let baseUrl;
+let home;
+
+// Runs the desktop CLI with a temporary HOME, resolving with its output and exit code
+function httptmux(...cliArgs) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [bin, ...cliArgs], { env: { ...process.env, HOME: home, NO_COLOR: "1", PAGER: "cat" }, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+const readEnvironments = () => JSON.parse(fs.readFileSync(path.join(home, ".api-cli-env.json"), "utf8"));
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ id: "t-42", path: req.url }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+beforeEach(() => { home = fs.mkdtempSync(path.join(os.tmpdir(), "httptmux-cli-")); });
+afterEach(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test("--capture stores values in the environment given with --env", async () => {
+  fs.writeFileSync(path.join(home, ".api-cli-env.json"), JSON.stringify({ active: "dev", environments: { dev: { base: "http://dev.invalid" }, stg: { base: baseUrl } } }));
+  const { code, stdout } = await httptmux("GET", "-u", "{{base}}/tickets", "--env", "stg", "--capture", "tid=$.id", "--no-pager");
+  assert.equal(code, 0);
+  assert.match(stdout, /Captured tid = "t-42"/);
+  const { active, environments } = readEnvironments();
+  assert.equal(active, "dev");
+  assert.deepEqual(environments.stg, { base: baseUrl, tid: "t-42" });
+  assert.deepEqual(environments.dev, { base: "http://dev.invalid" });
+});
+
+test("--raw keeps captures, assertions and the --compare-last diff off stdout", async () => {
+  await httptmux("GET", "-u", `${baseUrl}/a`, "--no-pager");
+  const { code, stdout, stderr } = await httptmux("GET", "-u", `${baseUrl}/a`, "--compare-last", "--expect-status", "200", "--capture", "tid=$.id", "--raw");
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), { id: "t-42", path: "/a" });
+  assert.match(stderr, /Captured tid = "t-42"/);
+  assert.match(stderr, /Assertions:\n  ✔ status/);
+  assert.match(stderr, /Compared with the previous response/);
+});
+
+test("--rerun and --to-curl refuse entries with redacted values", async () => {
+  await httptmux("GET", "-u", `${baseUrl}/search?token=abc`, "--no-pager");
+  for (const flags of [["--rerun", "last"], ["--to-curl", "last"]]) {
+    const { code, stdout, stderr } = await httptmux(...flags);
+    assert.equal(code, 1);
+    assert.match(stderr, /redacted values \(query "token"\) that would be sent as "\[REDACTED\]"/);
+    assert.doesNotMatch(stdout, /REDACTED/);
+  }
+});
+
+test("the mock server lists each recorded method and path once", async () => {
+  for (const target of ["a", "a", "a", "b"]) await httptmux("GET", "-u", `${baseUrl}/${target}`, "--no-pager");
+  const port = await new Promise(resolve => {
+    const probe = http.createServer().listen(0, "127.0.0.1", () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+  const mock = spawn(process.execPath, [bin, "mock", "--port", String(port), "--host", "127.0.0.1"], { env: { ...process.env, HOME: home, NO_COLOR: "1" } });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`mock server did not start: ${output}`)), 15000);
+    mock.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("Press Ctrl+C")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+  mock.kill();
+  await new Promise(resolve => mock.once("exit", resolve));
+  const routes = output.split("\n").filter(line => /^\s+GET\s/.test(line));
+  assert.equal(routes.length, 2);
+  assert.match(routes.find(line => line.includes("/a")), /\(\+2 more\)/);
+});
+
+test("run fills the path parameters of an imported collection from the spec's examples", async () => {
+  const spec = path.join(home, "spec.json");
+  fs.writeFileSync(spec, JSON.stringify({
+    openapi: "3.0.0", info: { title: "tickets" }, servers: [{ url: baseUrl }],
+    paths: { "/tickets/{id}": { get: { operationId: "getTicket", parameters: [{ name: "id", in: "path", required: true, example: 42 }], responses: { 200: { description: "ok" } } } } }
+  }));
+  assert.equal((await httptmux("import-openapi", spec)).code, 0);
+  const run = await httptmux("run", "tickets", "--no-pager");
+  assert.equal(run.code, 0);
+  assert.match(run.stdout, /"path": "\/tickets\/42"/);
+
+  fs.writeFileSync(path.join(home, ".api-cli-env.json"), JSON.stringify({ active: "dev", environments: { dev: { id: "7" } } }));
+  assert.match((await httptmux("run", "tickets", "--no-pager")).stdout, /"path": "\/tickets\/7"/);
+});
+
+test("flow step delays take durations and reject anything else", async () => {
+  const flow = path.join(home, "flow.json");
+  fs.writeFileSync(flow, JSON.stringify({ steps: [{ name: "first", request: { method: "GET", url: `${baseUrl}/one` } }, { name: "second", delay: "1s", request: { method: "GET", url: `${baseUrl}/two` } }] }));
+  const started = Date.now();
+  const { code } = await httptmux("flow", flow);
+  assert.equal(code, 0);
+  assert.ok(Date.now() - started >= 1000);
+
+  fs.writeFileSync(flow, JSON.stringify({ steps: [{ name: "first", delay: "soon", request: { method: "GET", url: `${baseUrl}/one` } }] }));
+  const invalid = await httptmux("flow", flow);
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /Step 1 \("first"\) in .*flow\.json: delay must be a number of milliseconds or a duration like 10s\./);
+});
+
+test("curl import splits clustered short options and encodes --data-urlencode", async () => {
+  const imported = async command => (await httptmux("--codegen", "curl", "--from-curl", command)).stdout;
+  assert.equal(await imported("curl -sSLk https://api.example.com/a"), "curl -X GET 'https://api.example.com/a' \\\n  -L \\\n  -k\n");
+  assert.match(await imported("curl -sXPUT https://api.example.com/a"), /^curl -X PUT /);
+
+  fs.writeFileSync(path.join(home, "note.txt"), "hi there");
+  const encoded = await imported(`curl -G https://api.example.com/s --data-urlencode 'q=a b&c' --data-urlencode 'note@${path.join(home, "note.txt")}' --data-urlencode '=x/y'`);
+  assert.equal(encoded, "curl -X GET 'https://api.example.com/s?q=a%20b%26c&note=hi%20there&x%2Fy'\n");
+});
@@ -0,0 +1,312 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  setPlatform, executeRequest, formatError, loadHistory, saveHistory, clearHistory, exportHistory, queryHistory,
+  historyStats, resolveHistoryEntry, redactEntry, toSavedRequest, findRedacted, restoreRedacted,
+  decodeJWT, checkJWTExpiry, isTokenExpired, saveJWT, loadAuthProfiles,
+  saveAuthProfiles, saveEnvironments, getVariables, substituteVariables, loadCookies, clearCookies, unlockSecrets, setLogger, paths
+} from '../lib/index.js';
+
+const jwt = payload => `eyJhbGciOiJIUzI1NiJ9.${Buffer.from(JSON.stringify(payload)).toString("base64url")}.sig`;
+
+let server;
+let baseUrl;
+let dataDir;
+let flakyCalls = 0;
+let tokenRequests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/flaky" && ++flakyCalls < 3) {
+        res.writeHead(503, { "Retry-After": "0" });
+        return res.end("busy");
+      }
+      // OAuth2 token endpoint: hands out token-1, token-2, ... and a new refresh token each time
+      if (url.pathname === "/token") {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        tokenRequests.push(params);
+        res.writeHead(params.client_id === "revoked" ? 401 : 200, { "Content-Type": "application/json" });
+        if (params.client_id === "revoked") return res.end(JSON.stringify({ error: "invalid_client" }));
+        return res.end(JSON.stringify({ access_token: `token-${tokenRequests.length}`, expires_in: 3600, refresh_token: `refresh-${tokenRequests.length}` }));
+      }
+      if (url.pathname === "/login") {
+        res.writeHead(200, { "Set-Cookie": "session=abc; Path=/; HttpOnly", "Content-Type": "application/json" });
+        return res.end("{}");
+      }
+      if (url.pathname === "/text") {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        return res.end("hello");
+      }
+      const status = Number(url.searchParams.get("status") || 200);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ method: req.method, path: url.pathname, headers: req.headers, body }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // Auth profiles live in the encrypted secrets store
+  process.env.HTTPTMUX_PASSPHRASE = "test passphrase";
+});
+after(() => server.close());
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "httptmux-test-"));
+  setPlatform({ dataDir: () => dataDir });
+  setLogger({ verbose() {}, info() {}, warn() {} });
+  flakyCalls = 0;
+  tokenRequests = [];
+});
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("executeRequest returns the parsed response and records it in history", async () => {
+  const result = await executeRequest({ method: "POST", url: `${baseUrl}/users`, headers: { "X-Test": "1" }, body: { name: "Ada" } });
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 200);
+  assert.equal(result.data.method, "POST");
+  assert.equal(result.data.headers["x-test"], "1");
+  assert.deepEqual(JSON.parse(result.data.body), { name: "Ada" });
+  assert.equal(typeof result.duration, "number");
+
+  const history = loadHistory();
+  assert.equal(history.length, 1);
+  assert.equal(history[0].method, "POST");
+  assert.equal(history[0].status, 200);
+  assert.deepEqual(history[0].body, { name: "Ada" });
+});
+
+test("executeRequest reports error statuses and network errors without throwing", async () => {
+  const notFound = await executeRequest({ method: "GET", url: `${baseUrl}/missing?status=404` });
+  assert.equal(notFound.ok, false);
+  assert.equal(notFound.status, 404);
+  assert.equal(notFound.data.path, "/missing");
+
+  const refused = await executeRequest({ method: "GET", url: "http://127.0.0.1:1/" });
+  assert.equal(refused.ok, false);
+  assert.equal(refused.status, "ERROR");
+  assert.match(refused.error, /ECONNREFUSED/);
+  assert.deepEqual(loadHistory().map(entry => entry.status), [404, "ERROR"]);
+});
+
+test("executeRequest returns text bodies as text and can skip history", async () => {
+  const result = await executeRequest({ method: "GET", url: `${baseUrl}/text` }, { history: false });
+  assert.equal(result.data, "hello");
+  assert.equal(result.text, "hello");
+  assert.equal(result.binary, false);
+  assert.equal(loadHistory().length, 0);
+});
+
+test("executeRequest substitutes environment and run variables", async () => {
+  saveEnvironments({ active: "dev", globals: { version: "v1" }, environments: { dev: { base: baseUrl } } });
+  const result = await executeRequest({ method: "GET", url: "{{base}}/{{version}}/users/{{id}}" }, { variables: { id: 7 } });
+  assert.equal(result.url, `${baseUrl}/v1/users/7`);
+  assert.equal(result.data.path, "/v1/users/7");
+  await assert.rejects(executeRequest({ method: "GET", url: "{{base}}/x" }, { env: null }), /Undefined variable "base" \(no environment selected\)/);
+});
+
+test("executeRequest retries on the configured statuses", async () => {
+  const result = await executeRequest({ method: "GET", url: `${baseUrl}/flaky` }, { settings: { retries: 3, retryDelay: 0 } });
+  assert.equal(result.ok, true);
+  assert.equal(flakyCalls, 3);
+});
+
+test("executeRequest applies the auth profile bound to the host", async () => {
+  await unlockSecrets(true);
+  const token = jwt({ sub: "ada" });
+  saveJWT(token, [new URL(baseUrl).host]);
+  const result = await executeRequest({ method: "GET", url: `${baseUrl}/me`, headers: { Accept: "application/json" } });
+  assert.equal(result.auth, new URL(baseUrl).host);
+  assert.equal(result.data.headers.authorization, `Bearer ${token}`);
+  // History never keeps the injected credentials
+  assert.deepEqual(loadHistory()[0].headers, { Accept: "application/json" });
+
+  const anonymous = await executeRequest({ method: "GET", url: `${baseUrl}/me` }, { auth: false });
+  assert.equal(anonymous.data.headers.authorization, undefined);
+});
+
+test("OAuth2 client_credentials tokens are cached until they expire", async () => {
+  await unlockSecrets(true);
+  const host = new URL(baseUrl).host;
+  saveAuthProfiles({ profiles: { api: { type: "oauth2", hosts: [host], tokenUrl: `${baseUrl}/token`, clientId: "app", clientSecret: "s3cret", scope: "read" } } });
+  const send = () => executeRequest({ method: "GET", url: `${baseUrl}/me` });
+
+  assert.equal((await send()).data.headers.authorization, "Bearer token-1");
+  assert.deepEqual(tokenRequests, [{ grant_type: "client_credentials", scope: "read", client_id: "app", client_secret: "s3cret" }]);
+  assert.equal((await send()).data.headers.authorization, "Bearer token-1");
+  assert.equal(tokenRequests.length, 1);
+
+  const data = loadAuthProfiles();
+  assert.equal(data.profiles.api.accessToken, "token-1");
+  data.profiles.api.expiresAt = Date.now() - 1000;
+  saveAuthProfiles(data);
+  assert.equal((await send()).data.headers.authorization, "Bearer token-2");
+  assert.equal(tokenRequests.length, 2);
+});
+
+test("OAuth2 refresh_token profiles refresh after expiry and keep the rotated refresh token", async () => {
+  await unlockSecrets(true);
+  const host = new URL(baseUrl).host;
+  saveAuthProfiles({ profiles: { api: { type: "oauth2", grant: "refresh_token", hosts: [host], tokenUrl: `${baseUrl}/token`, clientId: "app", refreshToken: "initial" } } });
+  const send = () => executeRequest({ method: "GET", url: `${baseUrl}/me` });
+
+  assert.equal((await send()).data.headers.authorization, "Bearer token-1");
+  assert.equal(tokenRequests[0].grant_type, "refresh_token");
+  assert.equal(tokenRequests[0].refresh_token, "initial");
+
+  const data = loadAuthProfiles();
+  assert.equal(data.profiles.api.refreshToken, "refresh-1");
+  data.profiles.api.expiresAt = Date.now() - 1000;
+  saveAuthProfiles(data);
+  assert.equal((await send()).data.headers.authorization, "Bearer token-2");
+  assert.equal(tokenRequests[1].refresh_token, "refresh-1");
+});
+
+test("OAuth2 token endpoint errors fail the request", async () => {
+  await unlockSecrets(true);
+  saveAuthProfiles({ profiles: { api: { type: "oauth2", hosts: [new URL(baseUrl).host], tokenUrl: `${baseUrl}/token`, clientId: "revoked" } } });
+  const result = await executeRequest({ method: "GET", url: `${baseUrl}/me` });
+  assert.equal(result.ok, false);
+  assert.equal(result.status, "ERROR");
+  assert.match(result.error, /OAuth2 token request for profile "api" failed: Request failed with status code 401/);
+  assert.equal(loadAuthProfiles().profiles.api.accessToken, undefined);
+
+  saveAuthProfiles({ profiles: { api: { type: "oauth2", grant: "refresh_token", hosts: [new URL(baseUrl).host], tokenUrl: `${baseUrl}/token` } } });
+  assert.match((await executeRequest({ method: "GET", url: `${baseUrl}/me` })).error, /has no refreshToken/);
+});
+
+test("executeRequest keeps cookies in the jar and sends them back", async () => {
+  await executeRequest({ method: "GET", url: `${baseUrl}/login` });
+  assert.deepEqual(loadCookies("default").map(cookie => cookie.name), ["session"]);
+  const result = await executeRequest({ method: "GET", url: `${baseUrl}/profile` });
+  assert.equal(result.data.headers.cookie, "session=abc");
+
+  assert.equal(clearCookies("default"), 1);
+  const withoutJar = await executeRequest({ method: "GET", url: `${baseUrl}/login` }, { cookies: false });
+  assert.equal(withoutJar.ok, true);
+  assert.equal(loadCookies("default").length, 0);
+});
+
+test("history is redacted, queryable and summarized", () => {
+  const entry = (method, status, duration) => ({ timestamp: new Date().toISOString(), method, url: `${baseUrl}/x?token=abc`, status, duration });
+  saveHistory({ ...entry("POST", 201, 10), headers: { Authorization: "Bearer x" }, body: { password: "secret", name: "Ada" } });
+  saveHistory(entry("GET", 404, 30));
+  saveHistory(entry("GET", 200, 20));
+
+  const [first] = loadHistory();
+  assert.equal(first.headers.Authorization, "[REDACTED]");
+  assert.deepEqual(first.body, { password: "[REDACTED]", name: "Ada" });
+  assert.match(first.url, /token=%5BREDACTED%5D|token=\[REDACTED\]/);
+
+  assert.deepEqual(queryHistory("method=GET status>=400").map(({ i }) => i), [1]);
+  assert.throws(() => queryHistory("status>=abc"), /status needs a number/);
+  const stats = historyStats("");
+  assert.equal(stats.count, 3);
+  assert.equal(stats.avgDuration, 20);
+  assert.equal(stats.byStatus["404"].count, 1);
+  // Hosts listed by the stats can be passed back to the filter
+  const [listedHost] = Object.keys(stats.byHost);
+  assert.equal(listedHost, new URL(baseUrl).host);
+  assert.equal(queryHistory(`host=${listedHost}`).length, 3);
+  assert.equal(queryHistory(`host=${new URL(baseUrl).hostname}`).length, 3);
+  assert.equal(queryHistory(`host=${new URL(baseUrl).hostname}:1`).length, 0);
+
+  assert.equal(resolveHistoryEntry("last").status, 200);
+  assert.equal(resolveHistoryEntry("last-1").status, 404);
+  assert.throws(() => resolveHistoryEntry(9), /not found/);
+
+  const exported = exportHistory(path.join(dataDir, "export.json"));
+  assert.equal(exported.count, 3);
+  assert.equal(JSON.parse(fs.readFileSync(exported.file, "utf8")).length, 3);
+
+  // Failed requests are stored with status "ERROR"
+  saveHistory(entry("GET", "ERROR", 5));
+  assert.deepEqual(queryHistory("status=ERROR").map(({ i }) => i), [3]);
+  assert.deepEqual(queryHistory("status!=error").map(({ i }) => i), [0, 1, 2]);
+  assert.deepEqual(queryHistory("status>=200").map(({ i }) => i), [0, 1, 2]);
+  assert.throws(() => queryHistory('url~"abc'), /^Error: Unterminated double quote in history filter\.$/);
+
+  clearHistory();
+  assert.equal(loadHistory().length, 0);
+});
+
+test("redacted history values are found and can be filled in before a replay", () => {
+  saveHistory({ timestamp: new Date().toISOString(), method: "POST", url: `${baseUrl}/x?token=abc&page=2`, status: 200, body: { user: { name: "Ada", password: "secret" } } });
+  const request = toSavedRequest(loadHistory()[0]);
+  assert.deepEqual(findRedacted(request), ['query "token"', 'body "user.password"']);
+
+  const restored = restoreRedacted(request, label => label.startsWith("query") ? "t0k" : "pw");
+  assert.equal(new URL(restored.url).searchParams.get("token"), "t0k");
+  assert.equal(new URL(restored.url).searchParams.get("page"), "2");
+  assert.deepEqual(restored.body, { user: { name: "Ada", password: "pw" } });
+  assert.deepEqual(findRedacted(restored), []);
+
+  const multipart = { url: baseUrl, bodyMode: "multipart", body: [{ name: "secret", value: "[REDACTED]" }, { name: "photo", file: "a.png" }] };
+  assert.deepEqual(findRedacted(multipart), ['form field "secret"']);
+});
+
+test("redactEntry honours the configured lists", () => {
+  fs.writeFileSync(paths.config, JSON.stringify({ redact: { headers: ["x-session"], fields: ["pin"] } }));
+  const redacted = redactEntry({ url: "http://example.com/", headers: { "X-Session": "1" }, body: { pin: 1234, nested: { token: "t" } } });
+  assert.equal(redacted.headers["X-Session"], "[REDACTED]");
+  assert.deepEqual(redacted.body, { pin: "[REDACTED]", nested: { token: "[REDACTED]" } });
+});
+
+test("JWT helpers decode tokens and check their expiry", async () => {
+  const exp = Math.floor(Date.now() / 1000) + 600;
+  assert.deepEqual(decodeJWT(jwt({ sub: "ada", exp })), { sub: "ada", exp });
+  assert.equal(decodeJWT("not-a-jwt"), null);
+
+  assert.deepEqual(checkJWTExpiry(jwt({ exp })), { expired: false, minutesLeft: 10 });
+  assert.equal(checkJWTExpiry(jwt({ exp: 1 })).expired, true);
+  assert.equal(checkJWTExpiry(jwt({ sub: "ada" })), null);
+  assert.equal(isTokenExpired(jwt({ exp: Math.floor(Date.now() / 1000) + 10 })), true);
+  assert.equal(isTokenExpired(jwt({ exp })), false);
+
+  await unlockSecrets(true);
+  assert.equal(saveJWT(jwt({ exp }), ["api.example.com", "*.example.org"]), "api.example.com");
+  assert.deepEqual(loadAuthProfiles().profiles["api.example.com"].hosts, ["api.example.com", "*.example.org"]);
+});
+
+test("the legacy plaintext JWT and history move into the secrets store and redacted history", async () => {
+  const token = jwt({ sub: "ada" });
+  fs.writeFileSync(paths.jwt, JSON.stringify({ token }));
+  fs.writeFileSync(paths.legacyHistory, JSON.stringify([{ timestamp: new Date().toISOString(), method: "GET", url: `${baseUrl}/me`, status: 200, headers: { Authorization: `Bearer ${token}` } }]));
+
+  await unlockSecrets(true);
+  assert.equal(fs.existsSync(paths.jwt), false);
+  assert.deepEqual(loadAuthProfiles().profiles.jwt, { type: "bearer", hosts: [], token });
+  assert.equal(fs.readFileSync(paths.secrets, "utf8").includes(token), false);
+  // Unbound, so it is only sent when asked for
+  assert.equal((await executeRequest({ method: "GET", url: `${baseUrl}/me` }, { history: false })).data.headers.authorization, undefined);
+  assert.equal((await executeRequest({ method: "GET", url: `${baseUrl}/me` }, { auth: "jwt", history: false })).data.headers.authorization, `Bearer ${token}`);
+
+  assert.equal(loadHistory()[0].headers.Authorization, "[REDACTED]");
+  assert.equal(fs.readFileSync(paths.history, "utf8").includes(token), false);
+  assert.deepEqual(toSavedRequest(loadHistory()[0]).headers, {});
+});
+
+test("variables come from globals, the environment and the caller, in that order", () => {
+  saveEnvironments({ active: "dev", globals: { a: "global", b: "global" }, environments: { dev: { b: "dev", c: "dev" } } });
+  assert.deepEqual(getVariables(), { a: "global", b: "dev", c: "dev" });
+  assert.deepEqual(getVariables({ env: null, variables: { c: "run" } }), { a: "global", b: "global", c: "run" });
+  assert.deepEqual(getVariables({ variables: { c: "run" }, defaults: { a: "default", d: "default" } }), { a: "global", b: "dev", c: "run", d: "default" });
+  assert.throws(() => getVariables({ env: "prod" }), /Environment "prod" not found/);
+  assert.deepEqual(substituteVariables({ "{{a}}": ["{{b}}", 1] }, { a: "x", b: "y" }), { x: ["y", 1] });
+});
+
+test("formatError describes responses and network errors", () => {
+  const withResponse = Object.assign(new Error("Request failed with status code 500"), {
+    response: { status: 500, headers: { "content-type": "text/plain" }, data: "boom" }
+  });
+  assert.deepEqual(formatError(withResponse), {
+    status: 500, headers: { "content-type": "text/plain" }, data: "boom", message: "Request failed with status code 500"
+  });
+  assert.deepEqual(formatError(new Error("socket hang up")), { status: "ERROR", message: "socket hang up" });
+});
@@ -0,0 +1,109 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  setPlatform, setLogger, executeRequest, loadHistory, queryHistory, graphqlOperation, graphqlErrors, introspectSchema, buildOperation
+} from '../lib/index.js';
+
+const scalar = name => ({ kind: "SCALAR", name, ofType: null });
+const object = name => ({ kind: "OBJECT", name, ofType: null });
+const nonNull = ofType => ({ kind: "NON_NULL", name: null, ofType });
+const schema = {
+  queryType: { name: "Query" }, mutationType: { name: "Mutation" }, subscriptionType: null,
+  types: [
+    { kind: "OBJECT", name: "Query", fields: [{ name: "user", description: "One user", args: [{ name: "id", type: nonNull(scalar("ID")), defaultValue: null }], type: object("User") }] },
+    { kind: "OBJECT", name: "Mutation", fields: [{ name: "addUser", args: [{ name: "input", type: nonNull({ kind: "INPUT_OBJECT", name: "NewUser", ofType: null }), defaultValue: null }], type: object("User") }] },
+    { kind: "OBJECT", name: "User", fields: [{ name: "id", args: [], type: nonNull(scalar("ID")) }, { name: "name", args: [], type: scalar("String") }] },
+    { kind: "INPUT_OBJECT", name: "NewUser", inputFields: [{ name: "name", type: nonNull(scalar("String")), defaultValue: null }, { name: "age", type: scalar("Int"), defaultValue: null }] },
+    scalar("ID"), scalar("String"), scalar("Int")
+  ]
+};
+
+let server;
+let url;
+let dataDir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      if (req.url !== "/graphql") {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        return res.end("not found");
+      }
+      const { query, variables, operationName } = JSON.parse(body);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      if (query.includes("__schema")) return res.end(JSON.stringify({ data: { __schema: schema } }));
+      if (query.includes("missing")) return res.end(JSON.stringify({ data: null, errors: [{ message: "Cannot query field \"missing\"", path: ["missing"] }] }));
+      res.end(JSON.stringify({ data: { received: { query, variables, operationName, contentType: req.headers["content-type"] } } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/graphql`;
+});
+after(() => server.close());
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "httptmux-test-"));
+  setPlatform({ dataDir: () => dataDir });
+  setLogger({ verbose() {}, info() {}, warn() {} });
+});
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("graphqlOperation finds the operation type, name and root field", () => {
+  assert.deepEqual(graphqlOperation('query GetUser($id: ID! = "{") { user(id: $id) { name } }'), { type: "query", name: "GetUser", field: "user" });
+  assert.deepEqual(graphqlOperation("{ users { id } }"), { type: "query", field: "users" });
+  const document = "# query Ignored\nfragment F on User { id }\nmutation AddUser($input: NewUser = { name: \"x\" }) { addUser(input: $input) { ...F } }";
+  assert.deepEqual(graphqlOperation(document), { type: "mutation", name: "AddUser", field: "addUser" });
+  assert.equal(graphqlOperation("query A { a } query B { b }", "B").field, "b");
+  assert.deepEqual(graphqlErrors({ errors: [{ message: "boom", path: ["user", 0] }] }), ["boom (at user.0)"]);
+  assert.equal(graphqlErrors({ data: {} }), null);
+});
+
+test("graphql bodies send the query, variables and operation name as JSON", async () => {
+  const file = path.join(dataDir, "user.graphql");
+  fs.writeFileSync(file, "query GetUser($id: ID!) { user(id: $id) { name } }");
+  const result = await executeRequest({ method: "POST", url, bodyMode: "graphql", bodyFile: file, body: { variables: { id: "7" }, operationName: "GetUser" } });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.operation, { type: "query", name: "GetUser", field: "user" });
+  assert.deepEqual(result.data.data.received, {
+    query: "query GetUser($id: ID!) { user(id: $id) { name } }", variables: { id: "7" }, operationName: "GetUser", contentType: "application/json"
+  });
+  // The file is referenced, the variables are kept for re-runs
+  const [entry] = loadHistory();
+  assert.deepEqual(entry.graphql, { type: "query", name: "GetUser", field: "user" });
+  assert.deepEqual(entry.body, { variables: { id: "7" }, operationName: "GetUser" });
+  assert.equal(entry.bodyFile, file);
+
+  await assert.rejects(executeRequest({ method: "POST", url, bodyMode: "graphql", body: {} }), /needs a query/);
+});
+
+test("a 200 response with GraphQL errors is a failure", async () => {
+  const result = await executeRequest({ method: "POST", url, bodyMode: "graphql", body: { query: "{ missing }" } });
+  assert.equal(result.status, 200);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'GraphQL errors: Cannot query field "missing" (at missing)');
+  assert.equal(result.errors.length, 1);
+
+  await executeRequest({ method: "POST", url, bodyMode: "graphql", body: { query: "query ListUsers { users { id } }" } });
+  assert.match(loadHistory()[0].error, /^GraphQL errors/);
+  assert.deepEqual(queryHistory("operation=ListUsers").map(({ i }) => i), [1]);
+  assert.deepEqual(queryHistory("missing").map(({ i }) => i), [0]);
+});
+
+test("introspection lists the operations and builds a starting query", async () => {
+  const introspected = await introspectSchema({ url });
+  assert.deepEqual(introspected.query.map(field => [field.name, field.type, field.args.map(arg => `${arg.name}: ${arg.type}`)]), [["user", "User", ["id: ID!"]]]);
+  assert.deepEqual(introspected.mutation.map(field => field.name), ["addUser"]);
+  assert.equal(loadHistory().length, 0);
+
+  const operation = buildOperation(introspected, "mutation", "addUser");
+  assert.equal(operation.query, "mutation AddUser($input: NewUser!) {\n  addUser(input: $input) {\n    id\n    name\n  }\n}");
+  assert.deepEqual(operation.variables, { input: { name: "" } });
+  assert.throws(() => buildOperation(introspected, "query", "nope"), /no query named "nope"/);
+  await assert.rejects(introspectSchema({ url: url.replace("/graphql", "/missing") }), /Introspection failed: Request failed with status code 404/);
+});
@@ -0,0 +1,25 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { getPlatform, setPlatform, copyToClipboard, paths } from '../lib/index.js';
+
+const original = getPlatform();
+afterEach(() => setPlatform(original));
+
+test("built-in platforms keep their files in HOME", () => {
+  assert.equal(setPlatform("termux").name, "termux");
+  assert.deepEqual(getPlatform().clipboardCommands(), [["termux-clipboard-set"]]);
+  assert.equal(setPlatform("desktop").dataDir(), os.homedir());
+  assert.throws(() => setPlatform("android"), /Unknown platform "android"/);
+});
+
+test("overrides move the data files and swap the clipboard", () => {
+  setPlatform({ dataDir: () => "/data/httptmux" });
+  assert.equal(paths.history, "/data/httptmux/.api-cli-history.jsonl");
+  assert.equal(paths.config, "/data/httptmux/.api-cli-config.json");
+
+  setPlatform({ clipboardCommands: () => [["false"], [process.execPath, "-e", "process.stdin.resume()"]] });
+  assert.equal(copyToClipboard("hello"), true);
+  setPlatform({ clipboardCommands: () => [["httptmux-no-such-command"]] });
+  assert.equal(copyToClipboard("hello"), false);
+});
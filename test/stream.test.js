@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WebSocketServer } from 'ws';
+import { setPlatform, openWebSocket, openEventStream, loadHistory, loadCookies } from '../lib/index.js';
+import { createEventParser } from '../lib/stream.js';
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/events") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Set-Cookie": "seen=1; Path=/" });
+      res.write(`: comment\n\nid: 1\nevent: greeting\ndata: ${JSON.stringify({ last: req.headers["last-event-id"] || null })}\n\n`);
+      res.end("data: a\ndata: b\n\n");
+      return;
+    }
+    if (req.url === "/forever") {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      const timer = setInterval(() => res.write("data: tick\n\n"), 20);
+      req.on("close", () => clearInterval(timer));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("{}");
+  });
+  const wss = new WebSocketServer({ noServer: true });
+  server.on("upgrade", (req, socket, head) => {
+    if (req.url === "/deny") {
+      socket.end("HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.send(JSON.stringify({ hello: req.headers["x-client"] || null, cookie: req.headers.cookie || null }));
+      ws.on("message", data => (String(data) === "bye" ? ws.close(1000, "done") : ws.send(`echo: ${data}`)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "httptmux-test-"));
+  setPlatform({ dataDir: () => dataDir });
+});
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("openWebSocket sends and receives messages and logs a summary", async () => {
+  const messages = [];
+  const session = await openWebSocket({ url: `${baseUrl}/socket`, headers: { "X-Client": "test" } }, { onMessage: ({ data }) => messages.push(data) });
+  assert.equal(session.url, `${baseUrl.replace("http", "ws")}/socket`);
+  session.send("ping");
+  session.send("bye");
+  const summary = await session.done;
+
+  assert.deepEqual(messages, [JSON.stringify({ hello: "test", cookie: null }), "echo: ping"]);
+  assert.equal(summary.sent, 2);
+  assert.equal(summary.received, 2);
+  assert.equal(summary.closeCode, 1000);
+  assert.equal(summary.closeReason, "done");
+
+  const [entry] = loadHistory();
+  assert.equal(entry.mode, "ws");
+  assert.equal(entry.status, 101);
+  assert.deepEqual(entry.session, { sent: 2, received: 2, bytesSent: 7, bytesReceived: summary.bytesReceived, closeCode: 1000, closeReason: "done" });
+});
+
+test("openWebSocket rejects a failed handshake and records it", async () => {
+  await assert.rejects(openWebSocket({ url: `${baseUrl}/deny` }), /handshake failed: HTTP 403/);
+  assert.equal(loadHistory()[0].status, 403);
+});
+
+test("openEventStream delivers events and keeps cookies", async () => {
+  const events = [];
+  const session = await openEventStream({ url: `${baseUrl}/events` }, { lastEventId: "7", onEvent: ({ time, ...event }) => events.push(event) });
+  const summary = await session.done;
+
+  assert.deepEqual(events, [
+    { event: "greeting", id: "1", data: JSON.stringify({ last: "7" }) },
+    { event: "message", data: "a\nb" }
+  ]);
+  assert.equal(summary.events, 2);
+  assert.equal(summary.lastEventId, "1");
+  assert.equal(summary.closedBy, "server");
+  assert.deepEqual(loadCookies("default").map(cookie => cookie.name), ["seen"]);
+
+  // The jar cookie goes along with the next handshake
+  const socket = await openWebSocket({ url: `${baseUrl}/socket` }, { onMessage: ({ data }) => events.push(JSON.parse(data)) });
+  socket.close();
+  await socket.done;
+  assert.equal(events.at(-1).cookie, "seen=1");
+});
+
+test("openEventStream can be closed by the client and rejects other content types", async () => {
+  let count = 0;
+  const session = await openEventStream({ url: `${baseUrl}/forever` }, { onEvent: () => { if (++count === 2) session.close(); } });
+  const summary = await session.done;
+  assert.equal(summary.closedBy, "client");
+  assert.equal(summary.error, undefined);
+  assert.ok(summary.events >= 2);
+
+  await assert.rejects(openEventStream({ url: `${baseUrl}/json` }), /Expected an event stream/);
+  assert.deepEqual(loadHistory().map(entry => entry.mode), ["sse", "sse"]);
+});
+
+test("the event parser handles fields split across chunks", () => {
+  const events = [];
+  const parse = createEventParser(event => events.push(event));
+  ["data: one\r", "\n\r\nevent: up", "date\ndata: {\"a\":1}\nretry: 500\n", "\n", "data\n\n", "data:no space\n\n"].forEach(parse);
+  assert.deepEqual(events, [
+    { event: "message", data: "one" },
+    { event: "update", data: "{\"a\":1}", retry: 500 },
+    { event: "message", data: "" },
+    { event: "message", data: "no space" }
+  ]);
+});